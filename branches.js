@@ -0,0 +1,91 @@
+/**
+ * Deep Swipe Extension - Branches Module
+ *
+ * Branch-aware swipes: each swipe of a message can own the conversation that
+ * followed it. The later messages are stored in that swipe's swipe_info entry
+ * and swapped back in when the swipe is selected again.
+ *
+ * @author Rurijian
+ * @license MIT
+ */
+
+import { getSettings } from './config.js';
+
+/**
+ * Key of the stored continuation in swipe_info[i].extra
+ * @constant {string}
+ */
+const CONTINUATION_KEY = 'deep_swipe_continuation';
+
+/**
+ * Check if branch-aware swipes are enabled
+ * @returns {boolean} True if each swipe keeps its own continuation
+ */
+export function isBranchModeEnabled() {
+    return getSettings()?.branchAwareSwipes ?? false;
+}
+
+/**
+ * Get the continuation stored for a swipe
+ * @param {Object} message - The message
+ * @param {number} swipeId - The swipe index
+ * @returns {Array<Object>|null} The later messages written under that swipe, or null if none were stored
+ */
+export function getContinuation(message, swipeId) {
+    const continuation = message?.swipe_info?.[swipeId]?.extra?.[CONTINUATION_KEY];
+    return Array.isArray(continuation) ? continuation : null;
+}
+
+/**
+ * Store the later messages as a swipe's continuation
+ * @param {Object} message - The message
+ * @param {number} swipeId - The swipe index the messages were written under
+ * @param {Array<Object>} messagesAfter - The messages after the message (cloned before storing)
+ */
+export function storeContinuation(message, swipeId, messagesAfter) {
+    if (!Array.isArray(message.swipe_info) || !message.swipe_info[swipeId]) {
+        return;
+    }
+    const info = message.swipe_info[swipeId];
+    // Never write through to message.extra when both point at the same object
+    info.extra = info.extra && info.extra !== message.extra ? info.extra : structuredClone(info.extra || {});
+    // A later message's own extra may carry a continuation copied in from its swipe_info;
+    // stored as-is, every branch switch would nest another copy of the tail
+    const stored = structuredClone(messagesAfter);
+    stored.forEach(stripContinuationFromExtra);
+    info.extra[CONTINUATION_KEY] = stored;
+}
+
+/**
+ * Forget the continuation stored for a swipe
+ * Called once it has been swapped back into the chat, where it is live again.
+ * @param {Object} message - The message
+ * @param {number} swipeId - The swipe index
+ */
+export function clearContinuation(message, swipeId) {
+    const extra = message?.swipe_info?.[swipeId]?.extra;
+    if (extra) {
+        delete extra[CONTINUATION_KEY];
+    }
+}
+
+/**
+ * Check if any swipe of a message has its own stored continuation
+ * @param {Object} message - The message
+ * @returns {boolean} True if the later messages depend on the selected swipe
+ */
+export function hasContinuations(message) {
+    return Array.isArray(message?.swipe_info) &&
+        message.swipe_info.some(info => Array.isArray(info?.extra?.[CONTINUATION_KEY]));
+}
+
+/**
+ * Remove a continuation that was copied into message.extra
+ * Swiping copies swipe_info[i].extra onto the message; the continuation must only live in swipe_info.
+ * @param {Object} message - The message
+ */
+export function stripContinuationFromExtra(message) {
+    if (message?.extra && CONTINUATION_KEY in message.extra) {
+        delete message.extra[CONTINUATION_KEY];
+    }
+}
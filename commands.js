@@ -11,28 +11,71 @@ import { getContext } from '../../../extensions.js';
 import { deleteSwipe, deleteMessage } from '../../../../script.js';
 import { getSettings, EXTENSION_NAME } from './config.js';
 import { isValidMessageId, canDeleteSwipe, clearEditMessage } from './utils.js';
+import { isGenerationActive } from './queue.js';
+import { deleteSwipesFromMessage, dswipeFavorite, dswipeContinue } from './deep-swipe.js';
+import { getFavoriteSwipeIds } from './favorites.js';
+import { getPromptTemplates } from './templates.js';
+import { runChatDoctor } from './doctor.js';
+import { captureSwipeState, recordSwipeChange, undoSwipeChange, redoSwipeChange } from './history.js';
 
 /**
  * Register slash commands for Deep Swipe
  * @param {Function} dswipeBack - The dswipeBack function
  * @param {Function} dswipeForward - The dswipeForward function
+ * @param {Function} dswipeGoto - The dswipeGoto function
+ * @param {Function} dswipeRipple - The dswipeRipple function
  */
-export async function registerSlashCommands(dswipeBack, dswipeForward) {
+export async function registerSlashCommands(dswipeBack, dswipeForward, dswipeGoto, dswipeRipple) {
     try {
         const { SlashCommand } = await import('/scripts/slash-commands/SlashCommand.js');
         const { SlashCommandParser } = await import('/scripts/slash-commands/SlashCommandParser.js');
-        const { ARGUMENT_TYPE, SlashCommandArgument } = await import('/scripts/slash-commands/SlashCommandArgument.js');
+        const { ARGUMENT_TYPE, SlashCommandArgument, SlashCommandNamedArgument } = await import('/scripts/slash-commands/SlashCommandArgument.js');
+        const { SlashCommandEnumValue } = await import('/scripts/slash-commands/SlashCommandEnumValue.js');
 
         SlashCommandParser.addCommandObject(SlashCommand.fromProps({
             name: 'dswipe',
-            helpString: 'Deep Swipe - Generate or navigate swipes. Usage: /dswipe back|forward [messageId]',
+            helpString: 'Deep Swipe - Generate or navigate swipes. Usage: /dswipe back|forward|first|last [messageId], or /dswipe goto <swipe number> [messageId] to jump straight to a swipe (goto favorite returns to the favorite swipe). /dswipe favorite|unfavorite [messageId] marks or unmarks the current swipe as a favorite. /dswipe continue [messageId] extends an assistant message and saves the result as a new swipe (no other arguments). Use count=N with forward to generate N swipes in one batch, guidance="..." to steer that generation, template="..." to use a prompt from the template library, profile="..." to generate with another connection profile, and ripple=all|N to then regenerate the messages after it. /dswipe ripple [messageId] regenerates the messages after a message (count=N for only the next N).',
             returns: 'string',
             aliases: ['ds'],
+            namedArgumentList: [
+                SlashCommandNamedArgument.fromProps({
+                    name: 'count',
+                    description: 'Number of swipes to generate in one batch (forward), or number of following messages to regenerate (ripple)',
+                    typeList: [ARGUMENT_TYPE.NUMBER],
+                    isRequired: false,
+                }),
+                SlashCommandNamedArgument.fromProps({
+                    name: 'profile',
+                    description: 'Connection profile to generate with; the current profile is restored afterwards (forward and ripple)',
+                    typeList: [ARGUMENT_TYPE.STRING],
+                    isRequired: false,
+                }),
+                SlashCommandNamedArgument.fromProps({
+                    name: 'guidance',
+                    description: 'One-off guidance for this generation, e.g. "shorter, no dialogue" (forward only)',
+                    typeList: [ARGUMENT_TYPE.STRING],
+                    isRequired: false,
+                }),
+                SlashCommandNamedArgument.fromProps({
+                    name: 'template',
+                    description: 'Name of a prompt template from the library to generate with, e.g. "Rewrite terser" (forward only)',
+                    typeList: [ARGUMENT_TYPE.STRING],
+                    isRequired: false,
+                    enumProvider: () => getPromptTemplates().map(template => new SlashCommandEnumValue(template.name)),
+                }),
+                SlashCommandNamedArgument.fromProps({
+                    name: 'ripple',
+                    description: 'After generating, regenerate the following messages so they follow the new swipe: "all" or a number of messages (forward only)',
+                    typeList: [ARGUMENT_TYPE.STRING, ARGUMENT_TYPE.NUMBER],
+                    isRequired: false,
+                }),
+            ],
             splitUnnamedArgument: true,
-            splitUnnamedArgumentCount: 2,
+            splitUnnamedArgumentCount: 3,
             unnamedArgumentList: [
-                new SlashCommandArgument('action', ARGUMENT_TYPE.STRING, false, 'Action: "back" or "forward"', ['back', 'forward']),
-                new SlashCommandArgument('messageId', ARGUMENT_TYPE.NUMBER, true, 'Message ID'),
+                new SlashCommandArgument('action', ARGUMENT_TYPE.STRING, false, 'Action: "back", "forward", "goto", "first", "last", "ripple", "favorite", "unfavorite" or "continue"', ['back', 'forward', 'goto', 'first', 'last', 'ripple', 'favorite', 'unfavorite', 'continue']),
+                new SlashCommandArgument('messageId', ARGUMENT_TYPE.NUMBER, true, 'Message ID (for goto: the 1-based swipe number or "favorite", followed by the message ID)'),
+                new SlashCommandArgument('gotoMessageId', ARGUMENT_TYPE.NUMBER, true, 'Message ID (goto only)'),
             ],
             callback: async (args, action, messageId) => {
                 // DEBUG: Log what we received
@@ -41,13 +84,24 @@ export async function registerSlashCommands(dswipeBack, dswipeForward) {
                 // Handle splitUnnamedArgument - action might be an array with both values
                 let actualAction = action;
                 let actualMessageId = messageId;
-                
+                let swipeNumber;
+
                 if (Array.isArray(action) && action.length >= 2) {
                     actualAction = action[0];
                     actualMessageId = action[1];
                 } else if (Array.isArray(action) && action.length === 1) {
                     actualAction = action[0];
                 }
+
+                // goto takes the swipe number first: /dswipe goto <swipe number> [messageId]
+                if (actualAction === 'goto') {
+                    swipeNumber = actualMessageId;
+                    actualMessageId = Array.isArray(action) ? action[2] : undefined;
+                    if (swipeNumber === undefined || swipeNumber === null || swipeNumber === '') {
+                        toastr.error('Usage: /dswipe goto <swipe number> [messageId]', 'Deep Swipe');
+                        return 'Missing swipe number';
+                    }
+                }
                 
                 console.log('[Deep Swipe] Extracted:', { actualAction, actualMessageId });
                 
@@ -77,8 +131,18 @@ export async function registerSlashCommands(dswipeBack, dswipeForward) {
                     return await dswipeBack(args, id);
                 } else if (actualAction === 'forward') {
                     return await dswipeForward(args, id);
+                } else if (actualAction === 'goto') {
+                    return await dswipeGoto(args, id, swipeNumber);
+                } else if (actualAction === 'first' || actualAction === 'last') {
+                    return await dswipeGoto(args, id, actualAction);
+                } else if (actualAction === 'ripple') {
+                    return await dswipeRipple(args, id);
+                } else if (actualAction === 'favorite' || actualAction === 'unfavorite') {
+                    return await dswipeFavorite(args, id, actualAction === 'favorite');
+                } else if (actualAction === 'continue') {
+                    return await dswipeContinue(args, id);
                 } else {
-                    toastr.error('Action must be "back" or "forward"', 'Deep Swipe');
+                    toastr.error('Action must be "back", "forward", "goto", "first", "last", "ripple", "favorite", "unfavorite" or "continue"', 'Deep Swipe');
                     return 'Invalid action';
                 }
             },
@@ -87,9 +151,29 @@ export async function registerSlashCommands(dswipeBack, dswipeForward) {
         // Register delete swipe command
         SlashCommandParser.addCommandObject(SlashCommand.fromProps({
             name: 'ddelswipe',
-            helpString: 'Deep Swipe - Delete the current swipe from a message. Usage: /ddelswipe [messageId]',
+            helpString: 'Deep Swipe - Delete swipes from a message. Usage: /ddelswipe [messageId] deletes the current swipe; add index=N to delete swipe N, keep=current (or keep=N) to delete all other swipes, keep=favorites to delete every swipe that is not a favorite, or range=2-7 to delete swipes 2 to 7. Swipe numbers are 1-based.',
             returns: 'string',
             aliases: ['dds'],
+            namedArgumentList: [
+                SlashCommandNamedArgument.fromProps({
+                    name: 'index',
+                    description: 'Swipe number to delete (1-based)',
+                    typeList: [ARGUMENT_TYPE.NUMBER],
+                    isRequired: false,
+                }),
+                SlashCommandNamedArgument.fromProps({
+                    name: 'keep',
+                    description: 'Delete every swipe except this one: "current", a swipe number, or "favorites" for all favorite swipes',
+                    typeList: [ARGUMENT_TYPE.STRING, ARGUMENT_TYPE.NUMBER],
+                    isRequired: false,
+                }),
+                SlashCommandNamedArgument.fromProps({
+                    name: 'range',
+                    description: 'Swipes to delete, e.g. 2-7 (1-based, inclusive)',
+                    typeList: [ARGUMENT_TYPE.STRING],
+                    isRequired: false,
+                }),
+            ],
             unnamedArgumentList: [
                 new SlashCommandArgument('messageId', ARGUMENT_TYPE.NUMBER, true, 'Message ID (defaults to last message)'),
             ],
@@ -100,6 +184,11 @@ export async function registerSlashCommands(dswipeBack, dswipeForward) {
                     return 'Extension disabled';
                 }
 
+                if (isGenerationActive()) {
+                    toastr.warning('Please wait for the current Deep Swipe generation to finish.', 'Deep Swipe');
+                    return 'Generation in progress';
+                }
+
                 const context = getContext();
                 const chat = context.chat;
                 let id;
@@ -131,17 +220,251 @@ export async function registerSlashCommands(dswipeBack, dswipeForward) {
                     return 'No swipes to delete';
                 }
 
+                const hasSelection = [args.index, args.keep, args.range].some(value => value !== undefined && value !== '');
+                if (hasSelection) {
+                    const swipeIndices = parseDeleteSelection(args, message);
+                    if (!swipeIndices) return 'Invalid swipe selection';
+
+                    const deleted = await deleteSwipesFromMessage(id, swipeIndices);
+                    return deleted > 0
+                        ? `Deleted ${deleted} swipe${deleted === 1 ? '' : 's'} from message ${id}`
+                        : 'No swipes deleted';
+                }
+
                 const swipeIndex = message.swipe_id ?? 0;
+                const undoBefore = captureSwipeState(id);
                 await deleteSwipe(swipeIndex, id);
+                recordSwipeChange('Delete swipe', id, undoBefore);
                 return `Deleted swipe ${swipeIndex + 1} from message ${id}`;
             },
         }));
 
+        // Read-only query commands for STscript. Swipe numbers are 1-based, like the counters.
+        const messageIdArgument = () => new SlashCommandArgument('messageId', ARGUMENT_TYPE.NUMBER, false, 'Message ID (defaults to last message)');
+
+        SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+            name: 'dswipe-count',
+            helpString: 'Deep Swipe - Return the number of swipes a message has. Usage: /dswipe-count [messageId]',
+            returns: 'number of swipes',
+            unnamedArgumentList: [messageIdArgument()],
+            callback: async (args, messageId) => {
+                const message = getQueryMessage(messageId);
+                if (!message) return '';
+                return String(getSwipes(message).length);
+            },
+        }));
+
+        SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+            name: 'dswipe-current',
+            helpString: 'Deep Swipe - Return the number of the swipe a message is showing (1-based). Usage: /dswipe-current [messageId]',
+            returns: 'current swipe number',
+            unnamedArgumentList: [messageIdArgument()],
+            callback: async (args, messageId) => {
+                const message = getQueryMessage(messageId);
+                if (!message) return '';
+                return String((message.swipe_id ?? 0) + 1);
+            },
+        }));
+
+        SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+            name: 'dswipe-get',
+            helpString: 'Deep Swipe - Return the text of one swipe. Usage: /dswipe-get messageId swipeNumber (1-based)',
+            returns: 'swipe text',
+            splitUnnamedArgument: true,
+            splitUnnamedArgumentCount: 2,
+            unnamedArgumentList: [
+                new SlashCommandArgument('messageId', ARGUMENT_TYPE.NUMBER, true, 'Message ID'),
+                new SlashCommandArgument('swipeNumber', ARGUMENT_TYPE.NUMBER, true, 'Swipe number (1-based)'),
+            ],
+            callback: async (args, value) => {
+                const [messageId, swipeNumber] = Array.isArray(value) ? value : [value];
+                const message = getQueryMessage(messageId);
+                if (!message) return '';
+
+                const swipes = getSwipes(message);
+                const index = Number(swipeNumber);
+                if (!Number.isInteger(index) || index < 1 || index > swipes.length) {
+                    toastr.error(`Swipe number must be between 1 and ${swipes.length}`, 'Deep Swipe');
+                    return '';
+                }
+                return swipes[index - 1] ?? '';
+            },
+        }));
+
+        SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+            name: 'dswipe-list',
+            helpString: 'Deep Swipe - Return all swipes of a message as JSON: [{ "swipe": 1, "current": true, "text": "...", "swipe_info": {...} }]. Usage: /dswipe-list [messageId]',
+            returns: 'JSON array of swipes',
+            unnamedArgumentList: [messageIdArgument()],
+            callback: async (args, messageId) => {
+                const message = getQueryMessage(messageId);
+                if (!message) return '';
+
+                const currentIndex = message.swipe_id ?? 0;
+                const swipes = getSwipes(message).map((text, i) => ({
+                    swipe: i + 1,
+                    current: i === currentIndex,
+                    text,
+                    swipe_info: message.swipe_info?.[i] ?? null,
+                }));
+                return JSON.stringify(swipes);
+            },
+        }));
+
+        SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+            name: 'dswipe-doctor',
+            helpString: 'Deep Swipe - Check the open chat for broken swipe data (mismatched swipes/swipe_info, wrong swipe_id, leftover temp messages, stale message elements, out-of-sync reasoning) and offer to repair it. Use fix=true to repair without asking.',
+            returns: 'summary of the check',
+            namedArgumentList: [
+                SlashCommandNamedArgument.fromProps({
+                    name: 'fix',
+                    description: 'Repair everything found without showing the report',
+                    typeList: [ARGUMENT_TYPE.BOOLEAN],
+                    defaultValue: 'false',
+                    isRequired: false,
+                }),
+            ],
+            callback: async (args) => {
+                const settings = getSettings();
+                if (!settings?.enabled) {
+                    toastr.warning('Deep Swipe is disabled.', 'Deep Swipe');
+                    return 'Extension disabled';
+                }
+                return await runChatDoctor({ fix: String(args.fix).toLowerCase() === 'true' });
+            },
+        }));
+
+        SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+            name: 'dswipe-undo',
+            helpString: 'Deep Swipe - Undo the last deep swipe operation (generate, delete or switch swipe), restoring the message\'s swipes exactly. Also bound to Ctrl+Z outside text fields.',
+            returns: 'what was undone',
+            callback: async () => {
+                const settings = getSettings();
+                if (!settings?.enabled) {
+                    toastr.warning('Deep Swipe is disabled.', 'Deep Swipe');
+                    return 'Extension disabled';
+                }
+                return await undoSwipeChange();
+            },
+        }));
+
+        SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+            name: 'dswipe-redo',
+            helpString: 'Deep Swipe - Redo the last undone deep swipe operation. Also bound to Ctrl+Y / Ctrl+Shift+Z outside text fields.',
+            returns: 'what was redone',
+            callback: async () => {
+                const settings = getSettings();
+                if (!settings?.enabled) {
+                    toastr.warning('Deep Swipe is disabled.', 'Deep Swipe');
+                    return 'Extension disabled';
+                }
+                return await redoSwipeChange();
+            },
+        }));
+
     } catch (error) {
         console.error('[Deep Swipe] Failed to register slash commands:', error);
     }
 }
 
+/**
+ * Turn the index / keep / range arguments of /ddelswipe into swipe indices
+ * @param {Object} args - Named arguments
+ * @param {Object} message - The message to delete swipes from
+ * @returns {number[]|null} Swipe indices to delete (0-based), or null if the selection is invalid
+ */
+function parseDeleteSelection(args, message) {
+    const swipeCount = message.swipes.length;
+    const given = ['index', 'keep', 'range'].filter(name => args[name] !== undefined && args[name] !== '');
+    if (given.length > 1) {
+        toastr.error('Use only one of index=, keep= or range=', 'Deep Swipe');
+        return null;
+    }
+
+    const toIndex = (value) => {
+        const number = Number(String(value).trim());
+        return Number.isInteger(number) && number >= 1 && number <= swipeCount ? number - 1 : null;
+    };
+    const invalid = () => {
+        toastr.error(`Swipe numbers must be between 1 and ${swipeCount}`, 'Deep Swipe');
+        return null;
+    };
+
+    if (given[0] === 'index') {
+        const index = toIndex(args.index);
+        return index === null ? invalid() : [index];
+    }
+
+    if (given[0] === 'keep') {
+        if (String(args.keep).trim().toLowerCase() === 'favorites') {
+            const favorites = getFavoriteSwipeIds(message);
+            if (favorites.length === 0) {
+                toastr.error('This message has no favorite swipes to keep', 'Deep Swipe');
+                return null;
+            }
+            return message.swipes.map((_, i) => i).filter(i => !favorites.includes(i));
+        }
+        const keep = String(args.keep).trim().toLowerCase() === 'current' ? (message.swipe_id ?? 0) : toIndex(args.keep);
+        if (keep === null) return invalid();
+        return message.swipes.map((_, i) => i).filter(i => i !== keep);
+    }
+
+    const match = String(args.range).trim().match(/^(\d+)\s*-\s*(\d+)$/);
+    if (!match) {
+        toastr.error('Range must look like 2-7', 'Deep Swipe');
+        return null;
+    }
+    const from = toIndex(match[1]);
+    const to = toIndex(match[2]);
+    if (from === null || to === null) return invalid();
+
+    const indices = [];
+    for (let i = Math.min(from, to); i <= Math.max(from, to); i++) {
+        indices.push(i);
+    }
+    return indices;
+}
+
+/**
+ * Resolve the target message of a query command
+ * Shows an error toast and returns null if the message can't be read right now.
+ * @param {number|string} [messageId] - Message ID argument; defaults to the last message
+ * @returns {Object|null} The message
+ */
+function getQueryMessage(messageId) {
+    const settings = getSettings();
+    if (!settings?.enabled) {
+        toastr.warning('Deep Swipe is disabled.', 'Deep Swipe');
+        return null;
+    }
+
+    // The chat is truncated while a generation runs, so message IDs don't line up
+    if (isGenerationActive()) {
+        toastr.warning('Please wait for the current Deep Swipe generation to finish.', 'Deep Swipe');
+        return null;
+    }
+
+    const chat = getContext().chat;
+    const id = messageId === undefined || messageId === null || messageId === ''
+        ? chat.length - 1
+        : parseInt(messageId, 10);
+
+    if (!isValidMessageId(id, chat)) {
+        toastr.error(`Invalid message ID: ${messageId}`, 'Deep Swipe');
+        return null;
+    }
+    return chat[id];
+}
+
+/**
+ * Get a message's swipes, treating a message without swipes as a single swipe
+ * @param {Object} message - The message
+ * @returns {string[]} Swipe texts
+ */
+function getSwipes(message) {
+    return Array.isArray(message.swipes) && message.swipes.length > 0 ? message.swipes : [message.mes ?? ''];
+}
+
 /**
  * Handle delete button click events to enable swipe deletion
  * Intercepts delete button clicks for messages with multiple swipes
@@ -197,10 +520,18 @@ export async function handleDeleteClick(e) {
     e.stopImmediatePropagation();
 
     try {
+        const chatLength = chat.length;
+        const undoBefore = captureSwipeState(messageId);
+
         // Call deleteMessage with the swipe index, requesting confirmation
         // This will show the popup with "Delete Swipe" and "Delete Message" buttons
         await deleteMessage(messageId, swipeIndex, true);
 
+        // Only a deleted swipe can be undone - not a deleted message
+        if (getContext().chat.length === chatLength) {
+            recordSwipeChange('Delete swipe', messageId, undoBefore);
+        }
+
         // Update tracking
         clearEditMessage();
     } catch (error) {
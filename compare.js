@@ -0,0 +1,318 @@
+/**
+ * Deep Swipe Extension - Swipe Comparison Module
+ *
+ * Side drawer listing every swipe of a message, either as a list of cards or
+ * two swipes side by side (optionally with a word diff), with a button to
+ * switch to any of them.
+ *
+ * @author Rurijian
+ * @license MIT
+ */
+
+import { getContext } from '../../../extensions.js';
+import { navigateToSwipe, setSwipeFavorite } from './deep-swipe.js';
+import { renderSwipeDiff } from './diff.js';
+import { getContinuation } from './branches.js';
+import { isFavoriteSwipe } from './favorites.js';
+import { escapeHtml, isValidMessageId } from './utils.js';
+
+/**
+ * Drawer display modes
+ * @readonly
+ * @enum {string}
+ */
+const COMPARE_MODE = {
+    LIST: 'list',
+    SPLIT: 'split',
+};
+
+/**
+ * State of the open drawer, or null when closed
+ * @type {{messageId: number, mode: string, left: number, right: number, diff: boolean}|null}
+ */
+let drawerState = null;
+
+/**
+ * Open the comparison drawer for a message
+ * @param {number} messageId - The message ID
+ */
+export function openCompareDrawer(messageId) {
+    const context = getContext();
+    if (!isValidMessageId(messageId, context.chat)) return;
+
+    const message = context.chat[messageId];
+    if (!Array.isArray(message.swipes) || message.swipes.length < 2) {
+        toastr.info('This message has no alternative swipes to compare.', 'Deep Swipe');
+        return;
+    }
+
+    const current = message.swipe_id ?? 0;
+    drawerState = {
+        messageId,
+        mode: drawerState?.mode ?? COMPARE_MODE.LIST,
+        left: current,
+        right: current === message.swipes.length - 1 ? current - 1 : current + 1,
+        diff: drawerState?.diff ?? false,
+    };
+
+    let drawer = document.getElementById('deep-swipe-compare-drawer');
+    if (!drawer) {
+        drawer = document.createElement('div');
+        drawer.id = 'deep-swipe-compare-drawer';
+        drawer.className = 'deep-swipe-compare-drawer';
+        drawer.innerHTML = `
+            <div class="deep-swipe-compare-header">
+                <b class="deep-swipe-compare-title"></b>
+                <div class="deep-swipe-compare-header-buttons">
+                    <div class="deep-swipe-compare-diff menu_button fa-solid fa-code-compare" title="Highlight changes"></div>
+                    <div class="deep-swipe-compare-mode menu_button fa-solid" title=""></div>
+                    <div class="deep-swipe-compare-close menu_button fa-solid fa-xmark" title="Close"></div>
+                </div>
+            </div>
+            <div class="deep-swipe-compare-body"></div>
+        `;
+        drawer.querySelector('.deep-swipe-compare-mode').addEventListener('click', () => {
+            if (!drawerState) return;
+            drawerState.mode = drawerState.mode === COMPARE_MODE.LIST ? COMPARE_MODE.SPLIT : COMPARE_MODE.LIST;
+            renderCompareDrawer();
+        });
+        drawer.querySelector('.deep-swipe-compare-diff').addEventListener('click', () => {
+            if (!drawerState) return;
+            drawerState.diff = !drawerState.diff;
+            renderCompareDrawer();
+        });
+        drawer.querySelector('.deep-swipe-compare-close').addEventListener('click', closeCompareDrawer);
+        document.body.appendChild(drawer);
+    }
+
+    renderCompareDrawer();
+}
+
+/**
+ * Close the comparison drawer
+ */
+export function closeCompareDrawer() {
+    drawerState = null;
+    document.getElementById('deep-swipe-compare-drawer')?.remove();
+}
+
+/**
+ * Re-render the drawer if it is open for the given message
+ * Called after swipes were added, removed or switched elsewhere.
+ * @param {number} [messageId] - Only refresh if the drawer shows this message
+ */
+export function refreshCompareDrawer(messageId) {
+    if (!drawerState) return;
+    if (messageId !== undefined && drawerState.messageId !== messageId) return;
+    renderCompareDrawer();
+}
+
+/**
+ * Render the drawer contents from the current drawer state
+ */
+function renderCompareDrawer() {
+    const drawer = document.getElementById('deep-swipe-compare-drawer');
+    if (!drawer || !drawerState) return;
+
+    const context = getContext();
+    const message = context.chat[drawerState.messageId];
+    if (!message || !Array.isArray(message.swipes) || message.swipes.length < 2) {
+        closeCompareDrawer();
+        return;
+    }
+
+    const swipeCount = message.swipes.length;
+    drawerState.left = Math.min(drawerState.left, swipeCount - 1);
+    drawerState.right = Math.min(drawerState.right, swipeCount - 1);
+
+    drawer.querySelector('.deep-swipe-compare-title').textContent =
+        `Message #${drawerState.messageId} · ${swipeCount} swipes`;
+
+    const modeButton = drawer.querySelector('.deep-swipe-compare-mode');
+    const isList = drawerState.mode === COMPARE_MODE.LIST;
+    modeButton.classList.toggle('fa-table-columns', isList);
+    modeButton.classList.toggle('fa-list', !isList);
+    modeButton.title = isList ? 'Compare two swipes side by side' : 'Show all swipes';
+
+    // The diff only applies to the side-by-side view
+    const diffButton = drawer.querySelector('.deep-swipe-compare-diff');
+    diffButton.style.display = isList ? 'none' : '';
+    diffButton.classList.toggle('active', drawerState.diff);
+
+    const body = drawer.querySelector('.deep-swipe-compare-body');
+    body.innerHTML = '';
+    body.classList.toggle('split', !isList);
+
+    if (isList) {
+        for (let i = 0; i < swipeCount; i++) {
+            body.appendChild(createSwipeCard(message, i, { showCompareButtons: true }));
+        }
+    } else {
+        body.appendChild(createSplitColumn(message, 'left'));
+        body.appendChild(createSplitColumn(message, 'right'));
+    }
+}
+
+/**
+ * Create one column of the side-by-side view, with a swipe selector
+ * @param {Object} message - The message
+ * @param {'left'|'right'} side - Which state slot the column shows
+ * @returns {HTMLElement} The column element
+ */
+function createSplitColumn(message, side) {
+    const column = document.createElement('div');
+    column.className = 'deep-swipe-compare-column';
+
+    const select = document.createElement('select');
+    select.className = 'text_pole deep-swipe-compare-select';
+    message.swipes.forEach((_, i) => {
+        const option = document.createElement('option');
+        option.value = String(i);
+        option.textContent = `Swipe ${i + 1}${i === message.swipe_id ? ' (current)' : ''}`;
+        select.appendChild(option);
+    });
+    select.value = String(drawerState[side]);
+    select.addEventListener('change', () => {
+        drawerState[side] = Number(select.value);
+        renderCompareDrawer();
+    });
+
+    // The right column shows what changed relative to the left one
+    const diffAgainst = drawerState.diff && side === 'right' ? drawerState.left : undefined;
+
+    column.appendChild(select);
+    column.appendChild(createSwipeCard(message, drawerState[side], { showCompareButtons: false, diffAgainst }));
+    return column;
+}
+
+/**
+ * Create the card for one swipe
+ * @param {Object} message - The message
+ * @param {number} swipeIndex - The swipe index (0-based)
+ * @param {Object} options - Card options
+ * @param {boolean} options.showCompareButtons - Show the "compare with current" and "show changes" buttons
+ * @param {number} [options.diffAgainst] - Highlight the changes from this swipe index
+ * @returns {HTMLElement} The card element
+ */
+function createSwipeCard(message, swipeIndex, { showCompareButtons, diffAgainst }) {
+    const messageId = drawerState.messageId;
+    const text = message.swipes[swipeIndex] ?? '';
+    const info = message.swipe_info?.[swipeIndex];
+    const isCurrent = swipeIndex === (message.swipe_id ?? 0);
+    const isFavorite = isFavoriteSwipe(message, swipeIndex);
+
+    const card = document.createElement('div');
+    card.className = 'deep-swipe-compare-card';
+    card.classList.toggle('current', isCurrent);
+    card.classList.toggle('favorite', isFavorite);
+
+    const meta = [];
+    if (info?.extra?.model) {
+        meta.push(info.extra.model);
+    }
+    const date = info?.gen_finished ? new Date(info.gen_finished).toLocaleString() : info?.send_date;
+    if (date) {
+        meta.push(date);
+    }
+    const words = text.trim() ? text.trim().split(/\s+/).length : 0;
+    meta.push(`${words} words · ${text.length} chars`);
+    const continuation = getContinuation(message, swipeIndex);
+    if (continuation) {
+        meta.push(`own branch of ${continuation.length} later message${continuation.length === 1 ? '' : 's'}`);
+    }
+
+    const header = document.createElement('div');
+    header.className = 'deep-swipe-compare-card-header';
+    header.innerHTML = `
+        <b>Swipe ${swipeIndex + 1}</b>
+        ${isCurrent ? '<span class="deep-swipe-compare-current-badge">Current</span>' : ''}
+        <small class="deep-swipe-compare-meta">${escapeHtml(meta.join(' · '))}</small>
+    `;
+
+    const content = document.createElement('div');
+    content.className = 'deep-swipe-compare-text mes_text';
+    const html = formatSwipeText(message, messageId, text);
+    if (diffAgainst !== undefined && diffAgainst !== swipeIndex) {
+        const oldHtml = formatSwipeText(message, messageId, message.swipes[diffAgainst] ?? '');
+        const diff = renderSwipeDiff(oldHtml, html);
+        content.innerHTML = diff.html;
+
+        const summary = document.createElement('small');
+        summary.className = 'deep-swipe-diff-summary';
+        summary.textContent = diff.insertions || diff.deletions
+            ? `+${diff.insertions} / -${diff.deletions} words vs swipe ${diffAgainst + 1}`
+            : `Same text as swipe ${diffAgainst + 1}`;
+        header.appendChild(summary);
+    } else {
+        content.innerHTML = html;
+    }
+
+    const buttons = document.createElement('div');
+    buttons.className = 'deep-swipe-compare-card-buttons';
+
+    const useButton = document.createElement('div');
+    useButton.className = 'menu_button deep-swipe-compare-use';
+    useButton.textContent = isCurrent ? 'Current swipe' : 'Use this one';
+    useButton.classList.toggle('disabled', isCurrent);
+    if (!isCurrent) {
+        useButton.addEventListener('click', async () => {
+            const result = await navigateToSwipe(messageId, swipeIndex);
+            if (result.startsWith('Navigated')) {
+                renderCompareDrawer();
+            }
+        });
+    }
+    buttons.appendChild(useButton);
+
+    const favoriteButton = document.createElement('div');
+    favoriteButton.className = `menu_button deep-swipe-compare-favorite ${isFavorite ? 'fa-solid' : 'fa-regular'} fa-star`;
+    favoriteButton.title = isFavorite ? 'Unmark as favorite' : 'Mark as favorite';
+    favoriteButton.addEventListener('click', () => setSwipeFavorite(messageId, swipeIndex, !isFavorite));
+    buttons.appendChild(favoriteButton);
+
+    if (showCompareButtons && !isCurrent) {
+        const compareButton = document.createElement('div');
+        compareButton.className = 'menu_button deep-swipe-compare-with-current';
+        compareButton.textContent = 'Compare with current';
+        compareButton.addEventListener('click', () => {
+            drawerState.mode = COMPARE_MODE.SPLIT;
+            drawerState.left = message.swipe_id ?? 0;
+            drawerState.right = swipeIndex;
+            renderCompareDrawer();
+        });
+        buttons.appendChild(compareButton);
+
+        const changesButton = document.createElement('div');
+        changesButton.className = 'menu_button deep-swipe-compare-show-changes';
+        changesButton.textContent = 'Show changes';
+        changesButton.title = 'Highlight what this swipe changed compared to the current one';
+        changesButton.addEventListener('click', () => {
+            drawerState.mode = COMPARE_MODE.SPLIT;
+            drawerState.diff = true;
+            drawerState.left = message.swipe_id ?? 0;
+            drawerState.right = swipeIndex;
+            renderCompareDrawer();
+        });
+        buttons.appendChild(changesButton);
+    }
+
+    card.appendChild(header);
+    card.appendChild(content);
+    card.appendChild(buttons);
+    return card;
+}
+
+/**
+ * Format swipe text the way the chat renders it
+ * @param {Object} message - The message the swipe belongs to
+ * @param {number} messageId - The message ID
+ * @param {string} text - The swipe text
+ * @returns {string} HTML content
+ */
+function formatSwipeText(message, messageId, text) {
+    const context = getContext();
+    if (typeof context.messageFormatting === 'function') {
+        return context.messageFormatting(text, message.name, Boolean(message.is_system), Boolean(message.is_user), messageId);
+    }
+    return escapeHtml(text).replace(/\n/g, '<br>');
+}
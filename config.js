@@ -8,6 +8,7 @@
  */
 
 import { extension_settings } from '../../../extensions.js';
+import { applySettingOverrides } from './overrides.js';
 
 /**
  * Extension name identifier
@@ -33,6 +34,61 @@ export const DEFAULT_IMPERSONATION_PROMPT = "NEW DIRECTION: Could you take my la
  */
 export const DEFAULT_ASSISTANT_PROMPT = "Execute.";
 
+/**
+ * Starter entries of the prompt template library
+ * Each template can replace the impersonation or assistant prompt for one generation.
+ * @constant {Array<{name: string, prompt: string}>}
+ */
+export const DEFAULT_PROMPT_TEMPLATES = [
+    {
+        name: 'Rewrite terser',
+        prompt: 'Rewrite this reply to be shorter and tighter. Keep its meaning, voice and point of view. Reply with the rewritten text only.\n\n{{input}}',
+    },
+    {
+        name: 'More in-character',
+        prompt: 'Rewrite this reply so it sounds more like its speaker: their voice, mannerisms and way of thinking. Reply with the rewritten text only.\n\n{{input}}',
+    },
+    {
+        name: 'Fix grammar only',
+        prompt: 'Fix only the spelling, grammar and punctuation of this reply. Change nothing else. Reply with the corrected text only.\n\n{{input}}',
+    },
+];
+
+/**
+ * Upper limit for swipes generated in a single batch
+ * @constant {number}
+ */
+export const MAX_BATCH_COUNT = 10;
+
+/**
+ * Default keys of the keyboard navigation mode, per action
+ * @constant {Object<string, string>}
+ */
+export const DEFAULT_KEY_BINDINGS = {
+    focusPrev: 'Alt+ArrowUp',
+    focusNext: 'Alt+ArrowDown',
+    back: 'ArrowLeft',
+    forward: 'ArrowRight',
+    generate: 'Shift+ArrowRight',
+    stop: 'Escape',
+};
+
+/**
+ * Upper limit for later messages shown to the model in infill mode
+ * @constant {number}
+ */
+export const MAX_INFILL_MESSAGES = 20;
+
+/**
+ * How infill mode shows the later messages
+ * @readonly
+ * @enum {string}
+ */
+export const INFILL_STYLE = {
+    VERBATIM: 'verbatim',
+    BRIEF: 'brief',
+};
+
 /**
  * Default settings for the extension
  * @constant {Object}
@@ -43,9 +99,20 @@ export const defaultSettings = {
     userSwipes: true,
     assistantSwipes: true,
     impersonationPrompt: DEFAULT_IMPERSONATION_PROMPT,
+    nativeImpersonate: false,
     assistantPrompt: DEFAULT_ASSISTANT_PROMPT,
     keepSwipeVisible: true,
     autoAdvanceToLatest: false,
+    branchAwareSwipes: false,
+    keyboardNavigation: false,
+    keyBindings: { ...DEFAULT_KEY_BINDINGS },
+    touchGestures: true,
+    touchSwipeThreshold: 80,
+    counterPips: false,
+    infillMode: false,
+    infillMessageCount: 5,
+    infillStyle: INFILL_STYLE.VERBATIM,
+    promptTemplates: DEFAULT_PROMPT_TEMPLATES.map(template => ({ ...template })),
 };
 
 /**
@@ -101,6 +168,56 @@ export function loadSettings() {
         autoAdvanceCheckbox.checked = extension_settings[EXTENSION_NAME].autoAdvanceToLatest ?? defaultSettings.autoAdvanceToLatest;
     }
 
+    const branchAwareCheckbox = document.getElementById('deep_swipe_branch_aware');
+    if (branchAwareCheckbox) {
+        branchAwareCheckbox.checked = extension_settings[EXTENSION_NAME].branchAwareSwipes ?? defaultSettings.branchAwareSwipes;
+    }
+
+    const keyboardNavigationCheckbox = document.getElementById('deep_swipe_keyboard_navigation');
+    if (keyboardNavigationCheckbox) {
+        keyboardNavigationCheckbox.checked = extension_settings[EXTENSION_NAME].keyboardNavigation ?? defaultSettings.keyboardNavigation;
+    }
+
+    const keyBindings = { ...DEFAULT_KEY_BINDINGS, ...(extension_settings[EXTENSION_NAME].keyBindings || {}) };
+    document.querySelectorAll('.deep-swipe-key-binding').forEach(input => {
+        input.value = keyBindings[input.dataset.action] ?? '';
+    });
+
+    const counterPipsCheckbox = document.getElementById('deep_swipe_counter_pips');
+    if (counterPipsCheckbox) {
+        counterPipsCheckbox.checked = extension_settings[EXTENSION_NAME].counterPips ?? defaultSettings.counterPips;
+    }
+
+    const touchGesturesCheckbox = document.getElementById('deep_swipe_touch_gestures');
+    if (touchGesturesCheckbox) {
+        touchGesturesCheckbox.checked = extension_settings[EXTENSION_NAME].touchGestures ?? defaultSettings.touchGestures;
+    }
+
+    const touchThresholdInput = document.getElementById('deep_swipe_touch_threshold');
+    if (touchThresholdInput) {
+        touchThresholdInput.value = extension_settings[EXTENSION_NAME].touchSwipeThreshold ?? defaultSettings.touchSwipeThreshold;
+    }
+
+    const nativeImpersonateCheckbox = document.getElementById('deep_swipe_native_impersonate');
+    if (nativeImpersonateCheckbox) {
+        nativeImpersonateCheckbox.checked = extension_settings[EXTENSION_NAME].nativeImpersonate ?? defaultSettings.nativeImpersonate;
+    }
+
+    const infillModeCheckbox = document.getElementById('deep_swipe_infill_mode');
+    if (infillModeCheckbox) {
+        infillModeCheckbox.checked = extension_settings[EXTENSION_NAME].infillMode ?? defaultSettings.infillMode;
+    }
+
+    const infillCountInput = document.getElementById('deep_swipe_infill_count');
+    if (infillCountInput) {
+        infillCountInput.value = extension_settings[EXTENSION_NAME].infillMessageCount ?? defaultSettings.infillMessageCount;
+    }
+
+    const infillStyleSelect = document.getElementById('deep_swipe_infill_style');
+    if (infillStyleSelect) {
+        infillStyleSelect.value = extension_settings[EXTENSION_NAME].infillStyle ?? defaultSettings.infillStyle;
+    }
+
     const assistantPromptTextarea = document.getElementById('deep_swipe_assistant_prompt');
     if (assistantPromptTextarea) {
         assistantPromptTextarea.value = extension_settings[EXTENSION_NAME].assistantPrompt ?? DEFAULT_ASSISTANT_PROMPT;
@@ -109,9 +226,18 @@ export function loadSettings() {
 
 /**
  * Get current extension settings
+ * Character and chat overrides of the open chat are applied; use getGlobalSettings for the stored values.
  * @returns {Object} The current extension settings
  */
 export function getSettings() {
+    return applySettingOverrides(getGlobalSettings());
+}
+
+/**
+ * Get the global extension settings, without character or chat overrides
+ * @returns {Object} The global extension settings
+ */
+export function getGlobalSettings() {
     return extension_settings[EXTENSION_NAME] || { ...defaultSettings };
 }
 
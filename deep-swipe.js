@@ -8,11 +8,22 @@
  */
 
 import { getContext } from '../../../extensions.js';
-import { Generate, eventSource, event_types, cancelDebouncedChatSave, saveChatConditional, stopGeneration } from '../../../../script.js';
+import { Generate, eventSource, event_types, cancelDebouncedChatSave, stopGeneration } from '../../../../script.js';
 import { updateReasoningUI, ReasoningType } from '../../../../scripts/reasoning.js';
-import { getSettings, EXTENSION_NAME, DEFAULT_ASSISTANT_PROMPT } from './config.js';
-import { syncReasoningFromSwipeInfo, error, isValidMessageId } from './utils.js';
-import { updateMessageSwipeUI } from './ui.js';
+import { getSettings, defaultSettings, EXTENSION_NAME, DEFAULT_ASSISTANT_PROMPT, MAX_BATCH_COUNT, MAX_INFILL_MESSAGES } from './config.js';
+import { syncReasoningFromSwipeInfo, error, isValidMessageId, isMessageSwipeable, ensureSwipes } from './utils.js';
+import { updateMessageSwipeUI, updateSwipeOverlayProgress, rerenderChat } from './ui.js';
+import { enqueueGeneration, isGenerationActive } from './queue.js';
+import { capturePromptText, getGenerationSettingsSnapshot, countTokens } from './provenance.js';
+import { getConnectionProfileNames, withConnectionProfile } from './profiles.js';
+import { writeJournal, clearJournal } from './journal.js';
+import { saveChatVerified } from './save.js';
+import { captureSwipeState, recordSwipeChange } from './history.js';
+import { fixSwipeIdBounds } from './doctor.js';
+import { isBranchModeEnabled, getContinuation, storeContinuation, clearContinuation, stripContinuationFromExtra } from './branches.js';
+import { isFavoriteSwipe, getFavoriteSwipeIds, setFavoriteSwipe, stripFavoriteFlag } from './favorites.js';
+import { expandSwipePrompt, findPromptTemplate, formatInfillBlock } from './templates.js';
+import { isNativeImpersonateAvailable, generateNativeImpersonation } from './impersonate.js';
 
 // Module-level variable to store complete chat backup before generation
 // This ensures we have a clean state to restore from if corruption occurs
@@ -84,8 +95,17 @@ export async function handleUserSwipeBack(message, messageId, targetSwipeId, mes
  * @param {number} messageId - The message ID
  * @param {Object} context - The SillyTavern context
  * @param {boolean} isUserMessage - Whether this is a user message (true) or assistant (false)
+ * @param {Object} [options] - Generation options
+ * @param {number} [options.count=1] - Number of swipes to generate inside one truncation
+ * @param {string} [options.guidance] - One-off guidance merged into the temp message for this run only
+ * @param {{name: string, prompt: string}} [options.template] - Library template used instead of the configured prompt
+ * @param {boolean} [options.continue] - Deep continue: extend the current swipe (assistant messages only); the
+ *   original text is the prefill and original + continuation is stored as one new swipe
+ * @param {boolean} [options.select] - Show the new swipe afterwards; defaults to the auto-advance setting.
+ *   Ignored while a favorite swipe is shown - that one stays selected.
+ * @returns {Promise<boolean>} True if new swipes were stored, false if blocked or stopped
  */
-export async function generateMessageSwipe(message, messageId, context, isUserMessage = true) {
+export async function generateMessageSwipe(message, messageId, context, isUserMessage = true, options = {}) {
     // Check if Prompt Inspector is enabled - BLOCK generation if so
     const promptInspectorEnabled = localStorage.getItem('promptInspectorEnabled') === 'true';
     if (promptInspectorEnabled) {
@@ -95,18 +115,89 @@ export async function generateMessageSwipe(message, messageId, context, isUserMe
             'Deep Swipe Blocked',
             { timeOut: 0, extendedTimeOut: 0, closeButton: true }
         );
-        return;
+        return false;
     }
 
     const settings = getSettings();
     const impersonationPrompt = settings?.impersonationPrompt || '';
     const chat = context.chat;
+    const continueMode = Boolean(options.continue);
+    // A continuation builds on the current text, so there is only ever one per run
+    const batchCount = continueMode ? 1 : Math.min(Math.max(options.count || 1, 1), MAX_BATCH_COUNT);
+    const guidance = (options.guidance || '').trim();
+    const template = options.template || null;
+
+    if (continueMode && isUserMessage) {
+        toastr.warning('Deep continue works on assistant messages only.', 'Deep Swipe');
+        return false;
+    }
 
-    if (isUserMessage && !impersonationPrompt) {
+    if (isUserMessage && !template && !impersonationPrompt) {
         toastr.warning('Please configure an impersonation prompt first to generate user message swipes.', 'Deep Swipe');
-        return;
+        return false;
+    }
+
+    // Native impersonate: SillyTavern builds the prompt for the user speaking.
+    // Without support for it, user swipes fall back to the temp message method.
+    const nativeImpersonate = isUserMessage
+        && (settings?.nativeImpersonate ?? defaultSettings.nativeImpersonate)
+        && isNativeImpersonateAvailable();
+    if (isUserMessage && !nativeImpersonate && (settings?.nativeImpersonate ?? defaultSettings.nativeImpersonate)) {
+        toastr.warning('Native impersonate is not available in this SillyTavern version. Using the temp message method instead.', 'Deep Swipe');
+    }
+
+    // If messageId+1 exists but has empty content, SillyTavern corrupted it
+    // Reloaded before anything is captured, so the backup and journal hold the clean chat
+    if (chat[messageId + 1] && chat[messageId + 1].mes === '' && chat[messageId + 1].is_user) {
+        try {
+            // Force reload current chat to get clean state
+            await context.reloadCurrentChat();
+        } catch (reloadError) {
+            console.error('[Deep Swipe] Failed to reload chat:', reloadError);
+        }
+        // The reload re-creates every message object
+        message = chat[messageId];
+        if (!message) {
+            toastr.error(`Message #${messageId} is gone after reloading the chat.`, 'Deep Swipe');
+            return false;
+        }
     }
 
+    // Build the full prompt (the temp message content): a library template if one was picked,
+    // otherwise the impersonation prompt for user messages or the short assistant nudge.
+    // Expanded now, while the messages around the target are still in the chat, and before
+    // the journal and the UI changes below, so a bad template leaves nothing behind.
+    const promptTemplate = template?.prompt ?? (isUserMessage
+        ? impersonationPrompt
+        : (settings?.assistantPrompt || DEFAULT_ASSISTANT_PROMPT));
+
+    // Infill mode: the truncated context ends at the target, so show the model what comes after it
+    const infillCount = Math.min(Math.max(Number(settings?.infillMessageCount ?? defaultSettings.infillMessageCount) || 0, 0), MAX_INFILL_MESSAGES);
+    const infillStyle = settings?.infillStyle ?? defaultSettings.infillStyle;
+    let infill;
+    let fullPrompt;
+    try {
+        infill = settings?.infillMode
+            ? formatInfillBlock(chat.slice(messageId + 1), infillCount, infillStyle)
+            : { text: '', messages: 0 };
+
+        fullPrompt = expandSwipePrompt(promptTemplate, {
+            context,
+            message,
+            messageId,
+            input: message.mes,
+            guidance,
+            infill: infill.text,
+        });
+    } catch (err) {
+        error('Failed to build the Deep Swipe prompt:', err);
+        toastr.error(`Could not build the prompt: ${err.message}`, 'Deep Swipe');
+        return false;
+    }
+
+    // The swipe state to go back to if the generation is undone
+    const undoBefore = captureSwipeState(messageId);
+
     // Track if this is a Deep Swipe generation (for cleanup on stop)
     // Set to true at generation start so cleanup runs for ANY stop (overlay button or SillyTavern stop)
     let isOurGeneration = true;
@@ -116,6 +207,9 @@ export async function generateMessageSwipe(message, messageId, context, isUserMe
     chatBackupBeforeGeneration = JSON.parse(JSON.stringify(chat));
     chatBackupTimestamp = Date.now();
 
+    // Persist the backup too, so a reload or crash mid-generation can still be recovered
+    await writeJournal(messageId, chatBackupBeforeGeneration);
+
     // UI PREVENTION: Hide "Show more messages" button during generation
     // Inject CSS to hide the button completely - this works regardless of event handling
     let showMoreBlocked = true;
@@ -135,24 +229,12 @@ export async function generateMessageSwipe(message, messageId, context, isUserMe
         document.head.appendChild(style);
     }
 
-    // If messageId+1 exists but has empty content, SillyTavern corrupted it
-    if (chat[messageId + 1] && chat[messageId + 1].mes === '' && chat[messageId + 1].is_user) {
-        try {
-            // Force reload current chat to get clean state
-            await context.reloadCurrentChat();
-        } catch (reloadError) {
-            console.error('[Deep Swipe] Failed to reload chat:', reloadError);
-        }
-    }
-
     // CRITICAL: Capture ALL original data BEFORE any truncation or modifications
     // For assistant swipes, truncation removes the target, so we MUST capture first
     const currentText = message.mes;
     
     // SAFETY: Fix corrupt swipe data if swipe_id is out of bounds
-    if (message.swipe_id >= message.swipes?.length) {
-        message.swipe_id = 0;
-    }
+    fixSwipeIdBounds(message);
     const originalSwipeId = message.swipe_id || 0;
     
     // Store complete original message state for restoration (especially for assistant swipes)
@@ -200,22 +282,16 @@ export async function generateMessageSwipe(message, messageId, context, isUserMe
     const userName = context.name1 || 'User';
     const charName = context.name2 || 'Assistant';
 
-    // Build the full prompt based on message type
-    let fullPrompt;
-    if (isUserMessage) {
-        // User message: use impersonation prompt
-        fullPrompt = impersonationPrompt
-            .replace(/\{\{user\}\}/g, userName)
-            .replace(/\{\{input\}\}/g, currentText);
-    }
-    // Note: Assistant swipes don't need a fullPrompt - they truncate and regenerate naturally
-
     // Get the message element to show ellipsis (or not if keepSwipeVisible is enabled)
     const messageElement = document.querySelector(`.mes[mesid="${messageId}"] .mes_text`);
     const mesElement = document.querySelector(`.mes[mesid="${messageId}"]`);
 
     // Show waiting toast
-    const waitingToast = toastr.info('Generating Deep Swipe...', 'Deep Swipe', { timeOut: 0, extendedTimeOut: 0 });
+    const waitingToast = toastr.info(
+        continueMode ? 'Continuing message...' : (batchCount > 1 ? `Generating ${batchCount} Deep Swipes...` : 'Generating Deep Swipe...'),
+        'Deep Swipe',
+        { timeOut: 0, extendedTimeOut: 0 }
+    );
 
     // CRITICAL FIX: Capture ALL data in ONE synchronous operation
     // SillyTavern modifies chat asynchronously, so we must capture everything immediately
@@ -240,11 +316,11 @@ export async function generateMessageSwipe(message, messageId, context, isUserMe
     newSwipeIndex = capturedTargetMessage.swipes.length - 1;
     // CRITICAL: Do NOT update swipe_id here - keep showing original swipe during generation
     
-    // Variables to capture reasoning data
-    let capturedReasoning = '';
-    let reasoningDuration = null;
-    let generationStarted = null;
+    // Timestamp of the most recent generation pass
     let generationFinished = null;
+
+    // Index of the last swipe added by this run (the target for auto-advance)
+    let latestSwipeIndex = newSwipeIndex;
     
     // Keep reference to original target message for swipe updates during generation
     // But use capturedTargetMessage for cleanup restoration
@@ -261,6 +337,8 @@ export async function generateMessageSwipe(message, messageId, context, isUserMe
     // Set up abort detection for graceful handling of stopped generations
     let generationAborted = false;
     let abortCleanupDone = false;
+    // Pending abort cleanup, so callers (e.g. the queue) can wait for the chat to be restored
+    let abortCleanupPromise = null;
     
     // Shared cleanup function for when generation is stopped
     const performAbortCleanup = async () => {
@@ -345,95 +423,14 @@ export async function generateMessageSwipe(message, messageId, context, isUserMe
         // Some SillyTavern internals may hold the reference, so we need to ensure
         // the array itself is not replaced
 
-        // CRITICAL: Save chat to prevent auto-save from loading stale data
-        
-        try {
-            // CRITICAL FIX: Cancel any pending auto-save right before saving
-            cancelDebouncedChatSave();
-
-            // CRITICAL FIX: Create a deep copy of chat before saving to prevent save function from corrupting original
-            const chatCopyBeforeSave = JSON.parse(JSON.stringify(chat));
-
-            // Use saveChatConditional which is the proper way to save in SillyTavern
-            await saveChatConditional();
-
-            // CRITICAL FIX: If save corrupted the chat (ANY change to content), restore from our copy
-            // Check ALL messages, not just index 2, as corruption can happen at any index
-            let corruptionDetected = false;
-            for (let i = 0; i < chat.length; i++) {
-                if (chat[i]?.mes !== chatCopyBeforeSave[i]?.mes) {
-                    console.error(`[Deep-Swipe-Cleanup-DIAG] SAVE CORRUPTED CHAT at index ${i}! Content changed from "` +
-                        chatCopyBeforeSave[i]?.mes?.substring(0, 30) + '" to "' + chat[i]?.mes?.substring(0, 30) + '"');
-                    corruptionDetected = true;
-                    break;
-                }
-            }
-            if (corruptionDetected) {
-                console.error('[Deep-Swipe-Cleanup-DIAG] Restoring from copy...');
-                chat.splice(0, chat.length, ...chatCopyBeforeSave);
-            }
-
-            // CRITICAL FIX: Cancel any auto-save that may have been queued during our save
-            // and save again to ensure our state "wins"
-            cancelDebouncedChatSave();
-
-            // CRITICAL FIX: Wait a tick and save again to overwrite any late auto-saves
-            // This ensures that even if an auto-save was queued, our second save will overwrite it
-            await new Promise(resolve => setTimeout(resolve, 100));
-            cancelDebouncedChatSave();
-
-            // CRITICAL FIX: Create another deep copy before second save
-            const chatCopyBeforeSecondSave = JSON.parse(JSON.stringify(chat));
-            await saveChatConditional();
-
-            // CRITICAL FIX: Check and restore if second save corrupted chat (ANY content change)
-            // Check ALL messages for corruption, not just index 2
-            let secondCorruptionDetected = false;
-            for (let i = 0; i < chat.length; i++) {
-                if (chat[i]?.mes !== chatCopyBeforeSecondSave[i]?.mes) {
-                    console.error(`[Deep-Swipe-Cleanup-DIAG] SECOND SAVE CORRUPTED CHAT at index ${i}! Content changed from "` +
-                        chatCopyBeforeSecondSave[i]?.mes?.substring(0, 30) + '" to "' + chat[i]?.mes?.substring(0, 30) + '"');
-                    secondCorruptionDetected = true;
-                    break;
-                }
-            }
-            if (secondCorruptionDetected) {
-                console.error('[Deep-Swipe-Cleanup-DIAG] Restoring from second copy...');
-                chat.splice(0, chat.length, ...chatCopyBeforeSecondSave);
-            }
-        } catch (e) {
-            console.error('[Deep-Swipe-Cleanup] Error saving chat:', e);
-        }
+        // Save the restored chat; the journal is only dropped once the save is verified,
+        // otherwise it is kept so the chat can still be recovered after a reload
+        const saved = await saveChatVerified('Stop cleanup', { readBack: true });
 
         chatBackupBeforeGeneration = null;
         chatBackupTimestamp = null;
-
-        // CRITICAL FIX: Cancel auto-save one more time to ensure no pending saves with corrupted data
-        cancelDebouncedChatSave();
-
-        // CRITICAL FIX: Save chat immediately to prevent auto-save from loading stale data
-        try {
-            // CRITICAL FIX: Create deep copy before final save and restore if corrupted
-            const chatCopyBeforeFinalSave = JSON.parse(JSON.stringify(chat));
-            await context.saveChat();
-
-            // CRITICAL FIX: Check and restore if final save corrupted chat (ANY content change)
-            // Check ALL messages for corruption, not just index 2
-            let finalCorruptionDetected = false;
-            for (let i = 0; i < chat.length; i++) {
-                if (chat[i]?.mes !== chatCopyBeforeFinalSave[i]?.mes) {
-                    console.error(`[Deep-Swipe-Cleanup-DIAG] FINAL SAVE CORRUPTED CHAT at index ${i}! Content changed from "` +
-                        chatCopyBeforeFinalSave[i]?.mes?.substring(0, 30) + '" to "' + chat[i]?.mes?.substring(0, 30) + '"');
-                    finalCorruptionDetected = true;
-                    break;
-                }
-            }
-            if (finalCorruptionDetected) {
-                console.error('[Deep-Swipe-Cleanup-DIAG] Restoring from final copy...');
-                chat.splice(0, chat.length, ...chatCopyBeforeFinalSave);
-            }
-        } catch (saveError) {
-            console.error('[Deep-Swipe-Cleanup] Error saving chat:', saveError);
+        if (saved) {
+            await clearJournal();
         }
 
         toastr.warning('Deep Swipe generation was stopped.', 'Deep Swipe');
@@ -447,7 +444,7 @@ export async function generateMessageSwipe(message, messageId, context, isUserMe
             return;
         }
         // Trigger cleanup immediately when generation stops
-        performAbortCleanup();
+        abortCleanupPromise = performAbortCleanup();
     };
     eventSource.once(event_types.GENERATION_STOPPED, abortHandler);
 
@@ -457,13 +454,12 @@ export async function generateMessageSwipe(message, messageId, context, isUserMe
             mesElement.classList.add('deep-swipe-loading');
         }
 
-        generationStarted = new Date();
-
         // Cancel any pending chat save to prevent temp messages from being saved
         cancelDebouncedChatSave();
 
-        // Check auto-advance setting early
-        const shouldAutoAdvance = settings?.autoAdvanceToLatest ?? false;
+        // Check auto-advance setting early - never move away from a favorite (pinned) swipe
+        const isPinned = isFavoriteSwipe(message, originalSwipeId);
+        const shouldAutoAdvance = !isPinned && (options.select ?? settings?.autoAdvanceToLatest ?? false);
 
         // Create overlay for "read while generating" experience (for both user and assistant)
         // This shows the current swipe content during generation
@@ -493,9 +489,15 @@ export async function generateMessageSwipe(message, messageId, context, isUserMe
             }
         });
 
+        if (batchCount > 1) {
+            updateSwipeOverlayProgress(messageId, 0, batchCount);
+        }
+
         if (isUserMessage) {
             // USER MESSAGE: Truncate chat to target, add temp message, generate
             // CRITICAL: Must truncate chat array so model only sees context up to target
+            // Native impersonate uses the same truncation - the model sees the target it rewrites -
+            // but sends the prompt with the impersonation instead of as a temp message
             
             // Truncate chat to just after target message
             chat.length = messageId + 1;
@@ -511,19 +513,30 @@ export async function generateMessageSwipe(message, messageId, context, isUserMe
             }
             
             // Append temp user message (now at position messageId+1)
-            const tempUserMessage = {
-                name: userName,
-                is_user: true,
-                mes: fullPrompt,
-                send_date: new Date().toISOString(),
-                extra: { isSmallSys: true, isDeepSwipeTemp: true },
-            };
-            chat.push(tempUserMessage);
-            
-            // Generate with truncated context
-            await Generate('normal', {
-                automatic_trigger: true,
-            });
+            if (!nativeImpersonate) {
+                const tempUserMessage = {
+                    name: userName,
+                    is_user: true,
+                    mes: fullPrompt,
+                    send_date: new Date().toISOString(),
+                    extra: { isSmallSys: true, isDeepSwipeTemp: true },
+                };
+                chat.push(tempUserMessage);
+            }
+        } else if (continueMode) {
+            // DEEP CONTINUE: Truncate chat to just after target, so the target is the last message
+            // SillyTavern's continue then uses its current text as the prefill and writes into it
+            chat.length = messageId + 1;
+
+            // Mark elements after target as stale; the target's own element receives the stream
+            for (let i = messageId + 1; i < 1000; i++) {
+                const el = document.querySelector(`.mes[mesid="${i}"]`);
+                if (el) {
+                    el.setAttribute('mesid', `stale-${i}`);
+                } else {
+                    break;
+                }
+            }
         } else {
             // ASSISTANT MESSAGE: Truncate chat to just before target
             // The model should only see context UP TO the target message
@@ -542,70 +555,157 @@ export async function generateMessageSwipe(message, messageId, context, isUserMe
             }
             
             // Append temp user message (now at position messageId)
-            const assistantPrompt = settings?.assistantPrompt || DEFAULT_ASSISTANT_PROMPT;
             const tempContextMessage = {
                 name: userName,
                 is_user: true,
-                mes: assistantPrompt,
+                mes: fullPrompt,
                 send_date: new Date().toISOString(),
                 extra: { isSmallSys: true, isDeepSwipeTemp: true },
             };
             chat.push(tempContextMessage);
-            
-            // Generate with truncated context (only sees messages before target)
-            await Generate('normal', {
-                automatic_trigger: true,
-            });
         }
 
-        generationFinished = new Date();
+        // Snapshot the settings this run generates with (for each swipe's provenance record)
+        const generationSettings = getGenerationSettingsSnapshot();
+        const contextMessageCount = isUserMessage || continueMode ? messageId + 1 : messageId;
+
+        // Run every generation of the batch inside this single truncation
+        // Each pass generates at the bottom, captures the result and removes it again,
+        // so the next pass sees exactly the same context (truncated chat + temp message)
+        const batchResults = [];
+        for (let pass = 0; pass < batchCount; pass++) {
+            streamingReasoningData = null;
+            const passStarted = new Date();
+
+            const promptCapture = capturePromptText();
+            let impersonatedText = '';
+            try {
+                if (nativeImpersonate) {
+                    impersonatedText = await generateNativeImpersonation(fullPrompt);
+                } else {
+                    await Generate(continueMode ? 'continue' : 'normal', {
+                        automatic_trigger: true,
+                    });
+                }
+            } finally {
+                promptCapture.stop();
+            }
 
-        // Check if generation was aborted by the user
-        if (generationAborted) {
-            // Cleanup was already done by abortHandler, just remove event listener
-            eventSource.removeListener(event_types.STREAM_REASONING_DONE, reasoningEventHandler);
-            return;
-        }
+            generationFinished = new Date();
 
-        // IMMEDIATE CLEANUP: Remove temp messages RIGHT after Generate() returns
-        // This is critical to prevent any saves that might trigger after generation
+            // Check if generation was aborted by the user
+            if (generationAborted) {
+                // Cleanup was started by abortHandler, just remove event listener and wait for it
+                eventSource.removeListener(event_types.STREAM_REASONING_DONE, reasoningEventHandler);
+                await abortCleanupPromise;
+                return false;
+            }
 
-        // Get the generated assistant message BEFORE any cleanup
-        // Both user and assistant swipes now generate at the bottom (last message)
-        const assistantMessage = chat[chat.length - 1];
+            if (nativeImpersonate) {
+                // Nothing was added to the chat - the text came back through the send box
+                cancelDebouncedChatSave();
+                if (!impersonatedText) {
+                    if (batchResults.length > 0) {
+                        toastr.warning(`Batch stopped early: ${batchResults.length}/${batchCount} swipes generated.`, 'Deep Swipe');
+                        break;
+                    }
+                    throw new Error('No impersonation generated');
+                }
+                batchResults.push({
+                    text: impersonatedText,
+                    reasoning: streamingReasoningData?.reasoning || '',
+                    reasoningDuration: streamingReasoningData?.duration ?? null,
+                    promptText: promptCapture.getText(),
+                    started: passStarted,
+                    finished: generationFinished,
+                });
+                if (batchCount > 1) {
+                    updateSwipeOverlayProgress(messageId, pass + 1, batchCount);
+                }
+                continue;
+            }
 
-        if (!assistantMessage || assistantMessage.is_user) {
-            throw new Error('No assistant message generated');
-        }
+            // IMMEDIATE CLEANUP: Remove the generated message RIGHT after Generate() returns
+            // This is critical to prevent any saves that might trigger after generation
 
-        // Capture text and reasoning from assistant message BEFORE cleanup
-        const generatedText = assistantMessage.mes;
-        const assistantReasoning = assistantMessage.extra?.reasoning;
-        const assistantReasoningDuration = assistantMessage.extra?.reasoning_duration;
+            // Get the generated assistant message BEFORE any cleanup
+            // Both user and assistant swipes now generate at the bottom (last message)
+            const assistantMessage = chat[chat.length - 1];
 
-        // CRITICAL: Cancel any pending saves immediately after generation
-        // Other event handlers (like reasoning auto-parse) may have triggered saves
-        cancelDebouncedChatSave();
+            if (!assistantMessage || assistantMessage.is_user) {
+                // Keep whatever the batch already produced instead of discarding it
+                if (batchResults.length > 0) {
+                    toastr.warning(`Batch stopped early: ${batchResults.length}/${batchCount} swipes generated.`, 'Deep Swipe');
+                    break;
+                }
+                throw new Error('No assistant message generated');
+            }
 
-        // Remove the generated assistant message from the end
-        // (Both user and assistant swipes now generate at the bottom)
-        for (let i = chat.length - 1; i >= 0; i--) {
-            if (chat[i] === assistantMessage) {
-                chat.splice(i, 1);
-                break;
+            // Capture text and reasoning from assistant message BEFORE cleanup
+            // (for a deep continue this is the target itself: original text + continuation)
+            const generatedText = assistantMessage.mes;
+            const assistantReasoning = assistantMessage.extra?.reasoning;
+            const assistantReasoningDuration = assistantMessage.extra?.reasoning_duration;
+
+            // CRITICAL: Cancel any pending saves immediately after generation
+            // Other event handlers (like reasoning auto-parse) may have triggered saves
+            cancelDebouncedChatSave();
+
+            // Remove the generated assistant message from the end
+            // (Both user and assistant swipes now generate at the bottom)
+            for (let i = chat.length - 1; i >= 0; i--) {
+                if (chat[i] === assistantMessage) {
+                    chat.splice(i, 1);
+                    break;
+                }
             }
-        }
 
-        // CRITICAL FIX: Remove orphaned DOM elements for both user and assistant swipes
-        // The element was created at the end, but we removed messages from chat array
-        // So we need to find and remove elements where mesid >= current chat.length
-        const orphanedElements = document.querySelectorAll(`#chat .mes`);
-        orphanedElements.forEach(el => {
-            const mesId = parseInt(el.getAttribute('mesid'), 10);
-            if (!isNaN(mesId) && mesId >= chat.length) {
-                el.remove();
+            if (continueMode) {
+                // The continuation was streamed into the target's element - keep it through the
+                // orphan cleanup; it is renamed back and re-rendered with the restored message
+                document.querySelector(`.mes[mesid="${messageId}"]`)?.setAttribute('mesid', `stale-${messageId}`);
+            }
+
+            // CRITICAL FIX: Remove orphaned DOM elements for both user and assistant swipes
+            // The element was created at the end, but we removed messages from chat array
+            // So we need to find and remove elements where mesid >= current chat.length
+            const orphanedElements = document.querySelectorAll(`#chat .mes`);
+            orphanedElements.forEach(el => {
+                const mesId = parseInt(el.getAttribute('mesid'), 10);
+                if (!isNaN(mesId) && mesId >= chat.length) {
+                    el.remove();
+                }
+            });
+
+            // Try to get reasoning from stream event first (more reliable during streaming)
+            // Fall back to captured reasoning from assistant message if no stream data
+            let passReasoning = '';
+            let passReasoningDuration = null;
+            if (streamingReasoningData?.reasoning) {
+                passReasoning = streamingReasoningData.reasoning;
+                passReasoningDuration = streamingReasoningData.duration;
+            } else if (assistantReasoning) {
+                passReasoning = assistantReasoning;
+                passReasoningDuration = assistantReasoningDuration;
             }
-        });
+
+            // A deep continue that added nothing is not a new swipe
+            const addedText = continueMode ? generatedText?.trim() !== originalSwipeText.trim() : true;
+            if (generatedText && generatedText.trim() && addedText) {
+                batchResults.push({
+                    text: generatedText.trim(),
+                    reasoning: passReasoning,
+                    reasoningDuration: passReasoningDuration,
+                    promptText: promptCapture.getText(),
+                    started: passStarted,
+                    finished: generationFinished,
+                });
+            }
+
+            if (batchCount > 1) {
+                updateSwipeOverlayProgress(messageId, pass + 1, batchCount);
+            }
+        }
 
         // Find and remove temp messages
         for (let i = chat.length - 1; i >= 0; i--) {
@@ -614,17 +714,6 @@ export async function generateMessageSwipe(message, messageId, context, isUserMe
             }
         }
 
-        // Try to get reasoning from stream event first (more reliable during streaming)
-        if (streamingReasoningData?.reasoning) {
-            capturedReasoning = streamingReasoningData.reasoning;
-            reasoningDuration = streamingReasoningData.duration;
-        }
-        // Fall back to captured reasoning from assistant message if no stream data
-        else if (assistantReasoning) {
-            capturedReasoning = assistantReasoning;
-            reasoningDuration = assistantReasoningDuration;
-        }
-
         // CRITICAL: Restore the chat array after truncation
         // We truncated the chat during generation, now restore the original messages
         // CRITICAL FIX: Use captured copies, never the original references
@@ -682,10 +771,8 @@ export async function generateMessageSwipe(message, messageId, context, isUserMe
         // Remove event listener
         eventSource.removeListener(event_types.STREAM_REASONING_DONE, reasoningEventHandler);
 
-        // Store the generated text as a swipe
-        if (generatedText && generatedText.trim()) {
-            const trimmedText = generatedText.trim();
-
+        // Store the generated texts as swipes
+        if (batchResults.length > 0) {
             // CRITICAL FIX: Use chat[messageId] which is our restored copy
             // NOT originalTargetMessage which is a reference to SillyTavern's internal object
             const actualTargetMessage = chat[messageId];
@@ -706,12 +793,6 @@ export async function generateMessageSwipe(message, messageId, context, isUserMe
                 }));
             }
 
-            // Store the new swipe content
-            actualTargetMessage.swipes[newSwipeIndex] = trimmedText;
-
-            // Keep the original swipe content in message.mes (Deep Swipe always keeps visible)
-            // The new swipe is stored in message.swipes[newSwipeIndex]
-
             // Ensure message keeps its original properties
             actualTargetMessage.is_user = wasUserMessage;
             if (wasUserMessage) {
@@ -727,31 +808,69 @@ export async function generateMessageSwipe(message, messageId, context, isUserMe
             // Get current API and model for the swipe info (needed for model icon display)
             const { api: currentApi, model: currentModel } = await getCurrentApiAndModel();
 
-            // Create swipe_info entry with reasoning data
-            const swipeInfoExtra = {
-                ...structuredClone(actualTargetMessage.extra || {}),
-            };
-
-            // Store API and model for model icon display when navigating swipes
-            swipeInfoExtra.api = currentApi;
-            swipeInfoExtra.model = currentModel;
+            for (const [offset, result] of batchResults.entries()) {
+                // Store the new swipe content
+                // Keep the original swipe content in message.mes (Deep Swipe always keeps visible)
+                actualTargetMessage.swipes[newSwipeIndex + offset] = result.text;
+
+                // Create swipe_info entry with reasoning data
+                const swipeInfoExtra = {
+                    ...structuredClone(actualTargetMessage.extra || {}),
+                };
+                // A new swipe is never a favorite, even if the visible one is
+                stripFavoriteFlag(swipeInfoExtra);
+
+                // Store API and model for model icon display when navigating swipes
+                swipeInfoExtra.api = currentApi;
+                swipeInfoExtra.model = currentModel;
+
+                if (result.reasoning) {
+                    swipeInfoExtra.reasoning = result.reasoning;
+                    swipeInfoExtra.reasoning_duration = result.reasoningDuration;
+                    swipeInfoExtra.reasoning_type = ReasoningType.Model;
+                } else {
+                    // Don't inherit the visible swipe's reasoning
+                    delete swipeInfoExtra.reasoning;
+                    delete swipeInfoExtra.reasoning_duration;
+                    delete swipeInfoExtra.reasoning_type;
+                }
 
-            if (capturedReasoning) {
-                swipeInfoExtra.reasoning = capturedReasoning;
-                swipeInfoExtra.reasoning_duration = reasoningDuration;
-                swipeInfoExtra.reasoning_type = ReasoningType.Model;
+                // Record how this swipe was produced (never inherit it from the visible swipe)
+                swipeInfoExtra.deep_swipe = {
+                    // A deep continue sends no temp message - the original text is the prefill
+                    ...(continueMode ? { mode: 'continue' } : {
+                        ...(nativeImpersonate ? { mode: 'impersonate' } : {}),
+                        ...(template ? { template_name: template.name } : {}),
+                        prompt_template: promptTemplate,
+                        prompt: fullPrompt,
+                        ...(guidance ? { guidance } : {}),
+                        ...(infill.messages ? { infill: { messages: infill.messages, style: infillStyle } } : {}),
+                    }),
+                    ...generationSettings,
+                    tokens: {
+                        prompt: await countTokens(result.promptText),
+                        // Only the continuation was generated, not the prefilled original
+                        completion: await countTokens(continueMode ? result.text.slice(originalSwipeText.trim().length) : result.text),
+                    },
+                    context: {
+                        target_id: messageId,
+                        messages: contextMessageCount,
+                    },
+                };
+
+                actualTargetMessage.swipe_info.push({
+                    send_date: result.finished.toISOString(),
+                    gen_started: result.started,
+                    gen_finished: result.finished,
+                    extra: swipeInfoExtra,
+                });
             }
 
-            actualTargetMessage.swipe_info.push({
-                send_date: generationFinished.toISOString(),
-                gen_started: generationStarted,
-                gen_finished: generationFinished,
-                extra: swipeInfoExtra,
-            });
+            latestSwipeIndex = newSwipeIndex + batchResults.length - 1;
 
             // NOTE: We DON'T update message.extra.reasoning because we're staying on the
-            // original swipe (Deep Swipe always keeps swipe visible). The new swipe's
-            // reasoning is stored in swipe_info[newSwipeIndex].extra via the push above.
+            // original swipe (Deep Swipe always keeps swipe visible). Each new swipe's
+            // reasoning is stored in its swipe_info entry via the push above.
         } else {
             throw new Error('Generation failed: no text received');
         }
@@ -780,7 +899,8 @@ export async function generateMessageSwipe(message, messageId, context, isUserMe
         // For non-auto-advance: keep showing completion message until user switches swipes
         completeSwipeOverlay(messageId, {
             autoFadeOut: shouldAutoAdvance,
-            fadeDelay: 1200
+            fadeDelay: 1200,
+            message: batchResults.length > 1 ? `${batchResults.length} Swipes Generated` : undefined
         });
 
         // If not auto-advancing, remove overlay immediately (completion message was shown)
@@ -805,15 +925,20 @@ export async function generateMessageSwipe(message, messageId, context, isUserMe
             // CRITICAL: Use the same reference we stored the swipe to
             // For assistant swipes, use originalTargetMessage since chat[messageId] was truncated
             const targetMessage = isUserMessage ? message : (originalTargetMessage || chat[messageId]);
-            targetMessage.swipe_id = newSwipeIndex;
+            targetMessage.swipe_id = latestSwipeIndex;
             // Use targetMessage.swipes (not message.swipes) - especially important for assistant swipes
-            targetMessage.mes = targetMessage.swipes[newSwipeIndex];
+            targetMessage.mes = targetMessage.swipes[latestSwipeIndex];
             
             // Set extra from the new swipe's info
-            const newSwipeInfo = targetMessage.swipe_info[newSwipeIndex];
+            const newSwipeInfo = targetMessage.swipe_info[latestSwipeIndex];
             if (newSwipeInfo?.extra) {
                 targetMessage.extra = structuredClone(newSwipeInfo.extra);
             }
+
+            // Branch-aware swipes: the later messages were written under the swipe we are leaving
+            if (isBranchModeEnabled() && capturedMessagesAfter.length > 0) {
+                storeContinuation(targetMessage, originalSwipeId, capturedMessagesAfter);
+            }
             
             const { updateMessageSwipeUI, addSwipeNavigationToMessage } = await import('./ui.js');
 
@@ -903,7 +1028,7 @@ export async function generateMessageSwipe(message, messageId, context, isUserMe
 
         // OVERWRITE any save that might have happened during generation
         // This ensures the chat is saved WITHOUT the temp messages
-        await saveChatConditional();
+        const saved = await saveChatVerified('Deep swipe');
 
         // Clean up event listeners on successful completion
         eventSource.removeListener(event_types.GENERATION_STOPPED, abortHandler);
@@ -912,6 +1037,9 @@ export async function generateMessageSwipe(message, messageId, context, isUserMe
         // This prevents the backup from being used if a new generation starts
         chatBackupBeforeGeneration = null;
         chatBackupTimestamp = null;
+        if (saved) {
+            await clearJournal();
+        }
         
         // UI PREVENTION CLEANUP: Remove the CSS that hides the button on success
         showMoreBlocked = false;
@@ -920,6 +1048,10 @@ export async function generateMessageSwipe(message, messageId, context, isUserMe
             styleElSuccess.remove();
         }
 
+        recordSwipeChange(batchCount > 1 ? 'Generate swipes' : 'Generate swipe', messageId, undoBefore);
+
+        return true;
+
     } catch (err) {
         error('Error in guided impersonation:', err);
 
@@ -958,15 +1090,28 @@ export async function generateMessageSwipe(message, messageId, context, isUserMe
             eventSource.removeListener(event_types.GENERATION_STOPPED, abortHandler);
             
             // Cleanup: restore chat state
+            // The target goes back exactly as it was before the generation. The new swipe's
+            // placeholder may not have reached the live message yet, so popping the last swipe
+            // could remove a real one.
+            const backupTarget = chatBackupBeforeGeneration?.[messageId]
+                ? JSON.parse(JSON.stringify(chatBackupBeforeGeneration[messageId]))
+                : null;
             if (isUserMessage) {
                 // User swipes: restore to messageId + 1
                 chat.length = messageId + 1;
+                if (backupTarget) {
+                    chat[messageId] = backupTarget;
+                }
                 // Restore from captured copies
                 const restoredMessages = capturedMessagesAfter.map(msg => JSON.parse(JSON.stringify(msg)));
                 chat.splice(messageId + 1, 0, ...restoredMessages);
             } else {
                 // Assistant swipes: restore target message and messages after
                 chat.length = messageId;
+                if (backupTarget) {
+                    // Also undoes a deep continue, which wrote into the target itself
+                    originalTargetMessage = backupTarget;
+                }
                 if (originalTargetMessage) {
                     chat.push(originalTargetMessage);
                 }
@@ -975,16 +1120,10 @@ export async function generateMessageSwipe(message, messageId, context, isUserMe
                 chat.splice(messageId + 1, 0, ...restoredMessages);
             }
             
-            // Restore mesid attributes
-            const restoreStartIndex = isUserMessage ? messageId + 1 : messageId;
-            for (let i = restoreStartIndex; i < 100; i++) {
-                const el = document.querySelector(`.mes[mesid="stale-${i}"]`);
-                if (el) {
-                    el.setAttribute('mesid', `${i}`);
-                } else {
-                    break;
-                }
-            }
+            // Restore mesid attributes (a deep continue may have marked the target too)
+            document.querySelectorAll('.mes[mesid^="stale-"]').forEach(el => {
+                el.setAttribute('mesid', el.getAttribute('mesid').replace('stale-', ''));
+            });
 
             // Remove waiting toast
             if (waitingToast) {
@@ -1001,11 +1140,15 @@ export async function generateMessageSwipe(message, messageId, context, isUserMe
             removeSwipeOverlay(messageId);
 
             // Revert swipe - use appropriate message reference
-            const revertTarget = isUserMessage ? message : (originalTargetMessage || chat[messageId]);
-            if (revertTarget) {
-                revertTarget.swipes.pop();
-                revertTarget.swipe_info?.pop();
-                revertTarget.swipe_id = Math.max(0, revertTarget.swipes.length - 1);
+            const revertTarget = isUserMessage ? chat[messageId] : (originalTargetMessage || chat[messageId]);
+            if (revertTarget && !backupTarget && Array.isArray(revertTarget.swipes)) {
+                // No backup to restore from: only take back the placeholder if this run added it
+                if (revertTarget.swipes.length === newSwipeIndex + 1 && !revertTarget.swipes[newSwipeIndex]) {
+                    revertTarget.swipes.pop();
+                    revertTarget.swipe_info?.pop();
+                }
+                revertTarget.swipe_id = Math.min(originalSwipeId, revertTarget.swipes.length - 1);
+                revertTarget.mes = revertTarget.swipes[revertTarget.swipe_id];
             }
             // Restore original message text in UI
             if (messageElement) {
@@ -1019,24 +1162,36 @@ export async function generateMessageSwipe(message, messageId, context, isUserMe
                 scroll: false,
                 showSwipes: true
             });
+
+            // The chat is whole again - save it and retire the journal
+            if (await saveChatVerified('Deep swipe error recovery', { readBack: true })) {
+                await clearJournal();
+            }
             
-            // UI PREVENTION CLEANUP: Restore original showMoreMessages function
+            // UI PREVENTION CLEANUP: Remove the CSS that hides the button
             showMoreBlocked = false;
-            if (originalShowMoreMessages) {
-                window.showMoreMessages = originalShowMoreMessages;
+            const styleElError = document.getElementById(styleId);
+            if (styleElError) {
+                styleElError.remove();
             }
+        } else if (abortCleanupPromise) {
+            // Don't let the next queued generation start until the chat is restored
+            await abortCleanupPromise;
         }
         throw err;
     }
 }
 
 /**
- * Navigate to the previous swipe on a message
- * @param {Object} args - Command arguments
- * @param {number} messageId - The message ID to navigate back on
+ * Switch a message to a specific existing swipe
+ * User messages are updated manually (SillyTavern blocks native user message swipes);
+ * assistant messages use the native swipe with the later messages temporarily hidden.
+ *
+ * @param {number} messageId - The message ID
+ * @param {number} targetSwipeId - The swipe index to show (0-based)
  * @returns {Promise<string>} Result message
  */
-export async function dswipeBack(args, messageId) {
+export async function navigateToSwipe(messageId, targetSwipeId) {
     const context = getContext();
     const chat = context.chat;
 
@@ -1045,20 +1200,47 @@ export async function dswipeBack(args, messageId) {
         return 'Invalid message ID';
     }
 
+    // The chat is truncated while a generation runs, so navigating now would corrupt it
+    if (isGenerationActive()) {
+        toastr.warning('Please wait for the current Deep Swipe generation to finish.', 'Deep Swipe');
+        return 'Generation in progress';
+    }
+
     const message = chat[messageId];
+    const currentId = message.swipe_id || 0;
 
-    if (!Array.isArray(message.swipes) || message.swipes.length <= 1) {
-        return 'No swipes to navigate';
+    if (!Array.isArray(message.swipes) || targetSwipeId < 0 || targetSwipeId >= message.swipes.length) {
+        return 'Invalid swipe index';
     }
 
-    const currentId = message.swipe_id || 0;
-    const targetSwipeId = Math.max(0, currentId - 1);
+    const switchesBranch = isBranchModeEnabled() && messageId < chat.length - 1 && targetSwipeId !== currentId;
+    // A branch switch replaces the later messages, so undoing it needs them too
+    const undoBefore = captureSwipeState(messageId, { withTail: switchesBranch });
+
+    // Branch-aware swipes: the later messages belong to the swipe being left
+    if (switchesBranch) {
+        ensureSwipes(message);
+        storeContinuation(message, currentId, chat.slice(messageId + 1));
+
+        const continuation = getContinuation(message, targetSwipeId);
+        if (continuation) {
+            const result = await switchBranch(messageId, targetSwipeId, continuation);
+            recordSwipeChange('Switch swipe', messageId, undoBefore);
+            return result;
+        }
+        // No continuation of its own yet - the target swipe adopts the current one
+        if (!await saveChatVerified('Branch switch')) {
+            return 'Branch switch could not be saved';
+        }
+    }
 
     // For user messages, manually update swipe (same as UI button)
     if (message.is_user) {
         message.swipe_id = targetSwipeId;
         message.mes = message.swipes[targetSwipeId];
         syncReasoningFromSwipeInfo(message, targetSwipeId);
+        stripContinuationFromExtra(message);
+        stripFavoriteFlag(message.extra);
         
         context.addOneMessage(message, {
             type: 'swipe',
@@ -1068,6 +1250,7 @@ export async function dswipeBack(args, messageId) {
         });
         
         updateMessageSwipeUI(messageId);
+        recordSwipeChange('Switch swipe', messageId, undoBefore);
         return `Navigated to swipe ${message.swipe_id + 1}/${message.swipes.length}`;
     }
 
@@ -1076,7 +1259,8 @@ export async function dswipeBack(args, messageId) {
     chat.length = messageId + 1;
 
     try {
-        await context.swipe.left(null, {
+        const swipeDirection = targetSwipeId < currentId ? context.swipe.left : context.swipe.right;
+        await swipeDirection(null, {
             message: message,
             forceMesId: messageId,
             forceSwipeId: targetSwipeId
@@ -1093,6 +1277,9 @@ export async function dswipeBack(args, messageId) {
         
         // Sync reasoning from swipe_info
         syncReasoningFromSwipeInfo(updatedMsg, targetSwipeId);
+        // Native swipes copy swipe_info extra onto the message, stored continuation included
+        stripContinuationFromExtra(updatedMsg);
+        stripFavoriteFlag(updatedMsg.extra);
 
         context.addOneMessage(updatedMsg, {
             type: 'swipe',
@@ -1102,6 +1289,7 @@ export async function dswipeBack(args, messageId) {
         });
         
         updateMessageSwipeUI(messageId);
+        recordSwipeChange('Switch swipe', messageId, undoBefore);
 
         return `Navigated to swipe ${updatedMsg.swipe_id + 1}/${updatedMsg.swipes.length}`;
     } catch (err) {
@@ -1110,9 +1298,463 @@ export async function dswipeBack(args, messageId) {
     }
 }
 
+/**
+ * Select a swipe and swap in the later messages that were written under it
+ * The chat changes length, so it is saved and re-rendered as a whole.
+ *
+ * @param {number} messageId - The message ID
+ * @param {number} targetSwipeId - The swipe to select
+ * @param {Array<Object>} continuation - The stored later messages of that swipe
+ * @returns {Promise<string>} Result message
+ */
+async function switchBranch(messageId, targetSwipeId, continuation) {
+    const context = getContext();
+    const chat = context.chat;
+    const message = chat[messageId];
+
+    message.swipe_id = targetSwipeId;
+    message.mes = message.swipes[targetSwipeId];
+    syncReasoningFromSwipeInfo(message, targetSwipeId);
+    stripContinuationFromExtra(message);
+    stripFavoriteFlag(message.extra);
+
+    chat.splice(messageId + 1, chat.length - messageId - 1, ...structuredClone(continuation));
+    // The continuation is live in the chat again; it is stored afresh when this swipe is left
+    clearContinuation(message, targetSwipeId);
+
+    if (!await saveChatVerified('Branch switch')) {
+        // Reloading would bring back the server's copy; show the chat as it is in this tab instead
+        await rerenderChat(context);
+        return 'Branch switch could not be saved';
+    }
+    await context.reloadCurrentChat();
+
+    return `Navigated to swipe ${targetSwipeId + 1}/${message.swipes.length} and restored its ${continuation.length} later message(s)`;
+}
+
+/**
+ * Navigate to the previous swipe on a message
+ * @param {Object} args - Command arguments
+ * @param {number} messageId - The message ID to navigate back on
+ * @returns {Promise<string>} Result message
+ */
+export async function dswipeBack(args, messageId) {
+    const context = getContext();
+    const chat = context.chat;
+
+    if (!isValidMessageId(messageId, chat)) {
+        toastr.error(`Invalid message ID: ${messageId}`, 'Deep Swipe');
+        return 'Invalid message ID';
+    }
+
+    const message = chat[messageId];
+
+    if (!Array.isArray(message.swipes) || message.swipes.length <= 1) {
+        return 'No swipes to navigate';
+    }
+
+    const currentId = message.swipe_id || 0;
+    return await navigateToSwipe(messageId, Math.max(0, currentId - 1));
+}
+
+/**
+ * Jump straight to a swipe on a message
+ * @param {Object} args - Command arguments
+ * @param {number} messageId - The message ID to navigate on
+ * @param {string|number} target - 1-based swipe index, "first", "last" or "favorite"
+ *   ("favorite" returns to the favorite swipe; with several, the next one after the current swipe)
+ * @returns {Promise<string>} Result message
+ */
+export async function dswipeGoto(args, messageId, target) {
+    const context = getContext();
+    const chat = context.chat;
+
+    if (!isValidMessageId(messageId, chat)) {
+        toastr.error(`Invalid message ID: ${messageId}`, 'Deep Swipe');
+        return 'Invalid message ID';
+    }
+
+    const message = chat[messageId];
+
+    if (!Array.isArray(message.swipes) || message.swipes.length <= 1) {
+        return 'No swipes to navigate';
+    }
+
+    const swipeCount = message.swipes.length;
+    let targetSwipeId;
+    if (target === 'first') {
+        targetSwipeId = 0;
+    } else if (target === 'last') {
+        targetSwipeId = swipeCount - 1;
+    } else if (target === 'favorite') {
+        const favorites = getFavoriteSwipeIds(message);
+        if (favorites.length === 0) {
+            toastr.info('This message has no favorite swipe.', 'Deep Swipe');
+            return 'No favorite swipe';
+        }
+        const currentId = message.swipe_id || 0;
+        targetSwipeId = favorites.find(index => index > currentId) ?? favorites[0];
+    } else {
+        const index = Number(target);
+        if (!Number.isInteger(index) || index < 1 || index > swipeCount) {
+            toastr.error(`Swipe index must be between 1 and ${swipeCount}`, 'Deep Swipe');
+            return 'Invalid swipe index';
+        }
+        targetSwipeId = index - 1;
+    }
+
+    if (targetSwipeId === (message.swipe_id || 0)) {
+        return `Already on swipe ${targetSwipeId + 1}/${swipeCount}`;
+    }
+
+    return await navigateToSwipe(messageId, targetSwipeId);
+}
+
+/**
+ * Mark or unmark a swipe as a favorite
+ * Favorites are highlighted in the counter, and generations never move away from them.
+ *
+ * @param {number} messageId - The message ID
+ * @param {number} swipeId - The swipe index (0-based)
+ * @param {boolean} favorite - True to mark, false to unmark
+ * @returns {Promise<string>} Result message
+ */
+export async function setSwipeFavorite(messageId, swipeId, favorite) {
+    const context = getContext();
+    const chat = context.chat;
+
+    if (!isValidMessageId(messageId, chat)) {
+        toastr.error(`Invalid message ID: ${messageId}`, 'Deep Swipe');
+        return 'Invalid message ID';
+    }
+
+    // The chat is truncated while a generation runs
+    if (isGenerationActive()) {
+        toastr.warning('Please wait for the current Deep Swipe generation to finish.', 'Deep Swipe');
+        return 'Generation in progress';
+    }
+
+    const message = chat[messageId];
+    ensureSwipes(message);
+    if (!Number.isInteger(swipeId) || swipeId < 0 || swipeId >= message.swipes.length) {
+        return 'Invalid swipe index';
+    }
+    if (!message.swipe_info[swipeId]) {
+        toastr.error('This swipe has no swipe info to store the favorite in. Run "Check chat integrity" first.', 'Deep Swipe');
+        return 'Missing swipe info';
+    }
+    if (isFavoriteSwipe(message, swipeId) === favorite) {
+        return `Swipe ${swipeId + 1} is ${favorite ? 'already' : 'not'} a favorite`;
+    }
+
+    const undoBefore = captureSwipeState(messageId);
+    setFavoriteSwipe(message, swipeId, favorite);
+    await saveChatVerified('Favorite');
+    recordSwipeChange(favorite ? 'Favorite swipe' : 'Unfavorite swipe', messageId, undoBefore);
+
+    updateMessageSwipeUI(messageId);
+    const { refreshCompareDrawer } = await import('./compare.js');
+    refreshCompareDrawer(messageId);
+
+    return `${favorite ? 'Marked' : 'Unmarked'} swipe ${swipeId + 1} as a favorite`;
+}
+
+/**
+ * Mark or unmark the current swipe of a message as a favorite
+ * @param {Object} args - Command arguments
+ * @param {number} messageId - The message ID
+ * @param {boolean} favorite - True to mark, false to unmark
+ * @returns {Promise<string>} Result message
+ */
+export async function dswipeFavorite(args, messageId, favorite) {
+    const chat = getContext().chat;
+
+    if (!isValidMessageId(messageId, chat)) {
+        toastr.error(`Invalid message ID: ${messageId}`, 'Deep Swipe');
+        return 'Invalid message ID';
+    }
+
+    return await setSwipeFavorite(messageId, chat[messageId].swipe_id || 0, favorite);
+}
+
+/**
+ * Delete every swipe of a message that isn't a favorite
+ * Goes through deleteSwipesFromMessage, so it asks first and can be undone.
+ *
+ * @param {number} messageId - The message ID
+ * @returns {Promise<number>} Number of swipes deleted (0 if cancelled or nothing to prune)
+ */
+export async function pruneNonFavorites(messageId) {
+    const chat = getContext().chat;
+
+    if (!isValidMessageId(messageId, chat)) {
+        toastr.error(`Invalid message ID: ${messageId}`, 'Deep Swipe');
+        return 0;
+    }
+
+    const message = chat[messageId];
+    const favorites = getFavoriteSwipeIds(message);
+    if (favorites.length === 0) {
+        toastr.warning('Mark a swipe as a favorite first; pruning keeps only favorites.', 'Deep Swipe');
+        return 0;
+    }
+
+    const toDelete = (message.swipes || []).map((_, index) => index).filter(index => !favorites.includes(index));
+    if (toDelete.length === 0) {
+        toastr.info('Every swipe of this message is a favorite.', 'Deep Swipe');
+        return 0;
+    }
+
+    return await deleteSwipesFromMessage(messageId, toDelete);
+}
+
+/**
+ * Delete several swipes from a message at once
+ * Keeps swipes, swipe_info and swipe_id consistent, asks for confirmation once
+ * and saves the chat once.
+ *
+ * @param {number} messageId - The message ID
+ * @param {number[]} swipeIndices - Swipe indices to delete (0-based)
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.confirm=true] - Ask before deleting
+ * @returns {Promise<number>} Number of swipes deleted (0 if cancelled or invalid)
+ */
+export async function deleteSwipesFromMessage(messageId, swipeIndices, { confirm = true } = {}) {
+    const context = getContext();
+    const chat = context.chat;
+
+    if (!isValidMessageId(messageId, chat)) {
+        toastr.error(`Invalid message ID: ${messageId}`, 'Deep Swipe');
+        return 0;
+    }
+
+    // The chat is truncated while a generation runs
+    if (isGenerationActive()) {
+        toastr.warning('Please wait for the current Deep Swipe generation to finish.', 'Deep Swipe');
+        return 0;
+    }
+
+    const message = chat[messageId];
+    if (!Array.isArray(message.swipes) || message.swipes.length <= 1) {
+        toastr.warning('No swipes available to delete for this message.', 'Deep Swipe');
+        return 0;
+    }
+
+    const swipeCount = message.swipes.length;
+    const toDelete = [...new Set(swipeIndices)].sort((a, b) => a - b);
+    if (toDelete.length === 0) {
+        toastr.info('No swipes to delete.', 'Deep Swipe');
+        return 0;
+    }
+    if (toDelete.some(index => !Number.isInteger(index) || index < 0 || index >= swipeCount)) {
+        toastr.error(`Swipe numbers must be between 1 and ${swipeCount}`, 'Deep Swipe');
+        return 0;
+    }
+    if (toDelete.length >= swipeCount) {
+        toastr.error('Cannot delete every swipe of a message. Delete the message instead.', 'Deep Swipe');
+        return 0;
+    }
+
+    if (confirm) {
+        const { callGenericPopup, POPUP_TYPE, POPUP_RESULT } = await import('../../../popup.js');
+        const list = toDelete.map(index => index + 1).join(', ');
+        const result = await callGenericPopup(
+            `Delete ${toDelete.length} of ${swipeCount} swipes from message #${messageId}?<br><small>Swipes: ${list}</small>`,
+            POPUP_TYPE.CONFIRM,
+        );
+        if (result !== POPUP_RESULT.AFFIRMATIVE) {
+            return 0;
+        }
+        // The chat may have changed while the popup was open
+        if (chat !== getContext().chat || chat[messageId] !== message || message.swipes.length !== swipeCount) {
+            toastr.warning('The chat changed; nothing was deleted.', 'Deep Swipe');
+            return 0;
+        }
+    }
+
+    // Keep the shown swipe if it survives, otherwise show its nearest earlier neighbour
+    const currentId = message.swipe_id ?? 0;
+    const deleted = new Set(toDelete);
+    let keptId = currentId;
+    while (deleted.has(keptId) && keptId > 0) keptId--;
+    while (deleted.has(keptId)) keptId++;
+    const newSwipeId = keptId - toDelete.filter(index => index < keptId).length;
+
+    const undoBefore = captureSwipeState(messageId);
+    for (let i = toDelete.length - 1; i >= 0; i--) {
+        message.swipes.splice(toDelete[i], 1);
+        if (Array.isArray(message.swipe_info)) {
+            message.swipe_info.splice(toDelete[i], 1);
+        }
+    }
+
+    message.swipe_id = newSwipeId;
+    message.mes = message.swipes[newSwipeId];
+    syncReasoningFromSwipeInfo(message, newSwipeId);
+    stripContinuationFromExtra(message);
+    stripFavoriteFlag(message.extra);
+
+    await saveChatVerified('Swipe deletion');
+    recordSwipeChange(toDelete.length > 1 ? 'Delete swipes' : 'Delete swipe', messageId, undoBefore);
+
+    context.addOneMessage(message, {
+        type: 'swipe',
+        forceId: messageId,
+        scroll: false,
+        showSwipes: true
+    });
+    updateMessageSwipeUI(messageId);
+
+    const { refreshCompareDrawer } = await import('./compare.js');
+    refreshCompareDrawer(messageId);
+
+    return toDelete.length;
+}
+
+/**
+ * Parse a ripple argument
+ * @param {string|number|undefined} value - "all", a number of messages, or empty for no ripple
+ * @returns {number|null|undefined} 0 for all following messages, N for the next N, undefined for none, null if invalid
+ */
+function parseRippleArgument(value) {
+    if (value === undefined || value === null || value === '' || value === false) {
+        return undefined;
+    }
+    if (value === true || String(value).trim().toLowerCase() === 'all') {
+        return 0;
+    }
+    const count = Number(value);
+    return Number.isInteger(count) && count >= 0 ? count : null;
+}
+
+/**
+ * Regenerate the messages after a message, oldest first
+ * Each message gets its new text as an added swipe that is also selected, so the next
+ * one is generated against the new history. The old timeline stays one swipe back.
+ * Messages showing a favorite swipe are skipped.
+ * Runs inside a queue job; stops at the first generation that doesn't complete.
+ *
+ * @param {number} messageId - The message the ripple starts after
+ * @param {number} [count] - How many following messages to regenerate; 0 or omitted for all
+ * @returns {Promise<boolean>} True if every message was regenerated
+ */
+async function rippleAfterMessage(messageId, count) {
+    const lastId = count
+        ? Math.min(getContext().chat.length - 1, messageId + count)
+        : getContext().chat.length - 1;
+
+    for (let id = messageId + 1; id <= lastId; id++) {
+        // Look the message up again - the previous pass re-created the chat entries
+        const context = getContext();
+        const target = context.chat[id];
+        // A message on a favorite swipe keeps it; the later ones follow it as they are
+        if (!target || !isMessageSwipeable(target) || isFavoriteSwipe(target, target.swipe_id || 0)) {
+            continue;
+        }
+
+        const generated = await generateMessageSwipe(target, id, context, Boolean(target.is_user), { select: true });
+        if (!generated) {
+            toastr.warning(`Ripple stopped at message #${id}. Messages after it were not regenerated.`, 'Deep Swipe');
+            return false;
+        }
+    }
+    return true;
+}
+
+/**
+ * Regenerate the messages after a message so they follow its current swipe
+ * @param {Object} args - Command arguments
+ * @param {number|string} [args.count] - Only regenerate the next N messages
+ * @param {string} [args.profile] - Connection profile to generate with, restored afterwards
+ * @param {number} messageId - The message the ripple starts after
+ * @returns {Promise<string>} Result message
+ */
+export async function dswipeRipple(args, messageId) {
+    const chat = getContext().chat;
+
+    if (!isValidMessageId(messageId, chat)) {
+        toastr.error(`Invalid message ID: ${messageId}`, 'Deep Swipe');
+        return 'Invalid message ID';
+    }
+    if (messageId >= chat.length - 1) {
+        toastr.info('There are no messages after this one to regenerate.', 'Deep Swipe');
+        return 'Nothing to ripple';
+    }
+
+    // Invalid input must not fall through to "all"; no count at all does
+    const parsedCount = parseRippleArgument(args?.count);
+    if (parsedCount === null) {
+        toastr.error('Count must be a whole number of messages', 'Deep Swipe');
+        return 'Invalid count';
+    }
+    const count = parsedCount ?? 0;
+
+    const profile = typeof args?.profile === 'string' ? args.profile.trim() : '';
+    if (profile && !getConnectionProfileNames().includes(profile)) {
+        toastr.error(`Connection profile "${profile}" not found`, 'Deep Swipe');
+        return 'Invalid profile';
+    }
+
+    const completed = await enqueueGeneration(
+        messageId,
+        `ripple ${count ? `next ${count}` : 'all'}` + (profile ? ` · ${profile}` : ''),
+        () => withConnectionProfile(profile, () => rippleAfterMessage(messageId, count))
+    );
+    return completed ? 'Ripple complete' : 'Ripple did not complete';
+}
+
+/**
+ * Continue an assistant message as a new swipe
+ * The current swipe's text is the prefill; the result (original + continuation) is added
+ * as a new swipe, so the original stays one swipe back.
+ *
+ * @param {Object} args - Command arguments
+ * @param {number} messageId - The message ID to continue
+ * @returns {Promise<string>} Result message
+ */
+export async function dswipeContinue(args, messageId) {
+    const chat = getContext().chat;
+
+    if (!isValidMessageId(messageId, chat)) {
+        toastr.error(`Invalid message ID: ${messageId}`, 'Deep Swipe');
+        return 'Invalid message ID';
+    }
+
+    const message = chat[messageId];
+    if (message.is_user || !isMessageSwipeable(message)) {
+        toastr.warning('Deep continue works on assistant messages only.', 'Deep Swipe');
+        return 'Not an assistant message';
+    }
+
+    // A continuation is prefilled with the current text and sends no prompt, so these don't apply
+    const unsupported = ['guidance', 'template', 'count', 'profile', 'ripple'].filter(name => args?.[name] !== undefined && args[name] !== '');
+    if (unsupported.length > 0) {
+        toastr.warning(`Deep continue doesn't support ${unsupported.map(name => `${name}=`).join(', ')}.`, 'Deep Swipe');
+        return 'Unsupported arguments for continue';
+    }
+
+    // The message is looked up again when the job starts, as earlier jobs re-create it
+    const continued = await enqueueGeneration(messageId, 'continue', async () => {
+        const ctx = getContext();
+        const target = ctx.chat[messageId];
+        if (!target) {
+            throw new Error(`Message ${messageId} no longer exists`);
+        }
+        return await generateMessageSwipe(target, messageId, ctx, false, { continue: true });
+    });
+
+    return continued ? 'Continued message as a new swipe' : 'Deep continue did not complete';
+}
+
 /**
  * Generate a new swipe for a message
  * @param {Object} args - Command arguments
+ * @param {number|string} [args.count] - Generate this many swipes in one batch (always generates)
+ * @param {string} [args.guidance] - One-off guidance for this generation (always generates)
+ * @param {string} [args.template] - Name of a library prompt template to generate with (always generates)
+ * @param {string} [args.profile] - Connection profile to generate with, restored afterwards (always generates)
+ * @param {string|number} [args.ripple] - Afterwards regenerate the following messages: "all" or a number (always generates)
+ * @param {boolean} [args.generate] - Generate even if there are later swipes to navigate to
  * @param {number} messageId - The message ID to generate a swipe for
  * @returns {Promise<string>} Result message
  */
@@ -1125,6 +1767,38 @@ export async function dswipeForward(args, messageId) {
         return 'Invalid message ID';
     }
 
+    let count = 1;
+    if (args?.count !== undefined && args?.count !== '') {
+        count = parseInt(args.count, 10);
+        if (isNaN(count) || count < 1 || count > MAX_BATCH_COUNT) {
+            toastr.error(`Count must be a number between 1 and ${MAX_BATCH_COUNT}`, 'Deep Swipe');
+            return 'Invalid count';
+        }
+    }
+
+    const guidance = typeof args?.guidance === 'string' ? args.guidance.trim() : '';
+
+    const templateName = typeof args?.template === 'string' ? args.template.trim() : '';
+    // Copied now, so editing the library while the job waits in the queue doesn't change it
+    const found = templateName ? findPromptTemplate(templateName) : null;
+    const template = found ? { ...found } : null;
+    if (templateName && !template) {
+        toastr.error(`Prompt template "${templateName}" not found`, 'Deep Swipe');
+        return 'Invalid template';
+    }
+
+    const profile = typeof args?.profile === 'string' ? args.profile.trim() : '';
+    if (profile && !getConnectionProfileNames().includes(profile)) {
+        toastr.error(`Connection profile "${profile}" not found`, 'Deep Swipe');
+        return 'Invalid profile';
+    }
+
+    const ripple = parseRippleArgument(args?.ripple);
+    if (ripple === null) {
+        toastr.error('Ripple must be "all" or a number of messages', 'Deep Swipe');
+        return 'Invalid ripple';
+    }
+
     const message = chat[messageId];
 
     // Check if there are existing swipes to navigate forward to
@@ -1132,71 +1806,43 @@ export async function dswipeForward(args, messageId) {
     const totalSwipes = message.swipes?.length || 1;
     
     // If we're not at the last swipe, navigate forward instead of generating
-    if (currentSwipeId < totalSwipes - 1) {
-        const targetSwipeId = currentSwipeId + 1;
-        
-        // For user messages, manually update swipe (same as UI button)
-        if (message.is_user) {
-            message.swipe_id = targetSwipeId;
-            message.mes = message.swipes[targetSwipeId];
-            syncReasoningFromSwipeInfo(message, targetSwipeId);
-            
-            context.addOneMessage(message, {
-                type: 'swipe',
-                forceId: messageId,
-                scroll: false,
-                showSwipes: true
-            });
-            
-            updateMessageSwipeUI(messageId);
-            return `Navigated to swipe ${message.swipe_id + 1}/${message.swipes.length}`;
-        }
-        
-        // For assistant messages, use native swipe
-        const messagesToRestore = chat.slice(messageId + 1);
-        chat.length = messageId + 1;
-
-        try {
-            await context.swipe.right(null, {
-                message: message,
-                forceMesId: messageId,
-                forceSwipeId: targetSwipeId
-            });
-
-            chat.push(...messagesToRestore);
-            
-            // Check if native swipe worked correctly
-            const updatedMsg = chat[messageId];
-            if (updatedMsg.swipe_id !== targetSwipeId) {
-                updatedMsg.swipe_id = targetSwipeId;
-                updatedMsg.mes = updatedMsg.swipes[targetSwipeId];
-            }
-            
-            // Sync reasoning from swipe_info
-            syncReasoningFromSwipeInfo(updatedMsg, targetSwipeId);
-
-            context.addOneMessage(updatedMsg, {
-                type: 'swipe',
-                forceId: messageId,
-                scroll: false,
-                showSwipes: true
-            });
-            
-            updateMessageSwipeUI(messageId);
-
-            return `Navigated to swipe ${updatedMsg.swipe_id + 1}/${updatedMsg.swipes.length}`;
-        } catch (err) {
-            chat.push(...messagesToRestore);
-            throw err;
-        }
+    // An explicit batch, guided, template, profile, ripple or generate request always generates
+    if (count === 1 && !guidance && !template && !profile && ripple === undefined && !args?.generate && currentSwipeId < totalSwipes - 1) {
+        return await navigateToSwipe(messageId, currentSwipeId + 1);
     }
     
     // No more swipes to navigate to - generate a new one
-    if (message.is_user) {
-        await generateMessageSwipe(message, messageId, context);
-        return 'Generated new swipe';
-    }
+    // Generations run through the queue so only one truncation is ever active.
+    // The message is looked up again when the job starts, as earlier jobs re-create it.
+    const generated = await enqueueGeneration(
+        messageId,
+        (count > 1 ? `${count} swipes` : '1 swipe') + (template ? ` · ${template.name}` : '') + (profile ? ` · ${profile}` : '') + (guidance ? ` · "${guidance}"` : '') +
+            (ripple !== undefined ? ` · ripple ${ripple ? `next ${ripple}` : 'all'}` : ''),
+        // The profile is switched only while this job runs, and restored even if it is stopped or fails
+        () => withConnectionProfile(profile, async () => {
+            const ctx = getContext();
+            const target = ctx.chat[messageId];
+            if (!target) {
+                throw new Error(`Message ${messageId} no longer exists`);
+            }
+            // A ripple needs the new swipe selected, so the following messages see it
+            const select = ripple !== undefined ? true : undefined;
+            const pinned = isFavoriteSwipe(target, target.swipe_id || 0);
+            const swiped = await generateMessageSwipe(target, messageId, ctx, Boolean(target.is_user), { count, guidance, template, select });
+            if (!swiped || ripple === undefined) {
+                return swiped;
+            }
+            if (pinned) {
+                // The favorite stayed selected, so the following messages already follow it
+                toastr.info('The favorite swipe stays selected, so the following messages were not regenerated.', 'Deep Swipe');
+                return swiped;
+            }
+            return await rippleAfterMessage(messageId, ripple);
+        })
+    );
 
-    await generateMessageSwipe(message, messageId, context, false);
-    return 'Generated new swipe';
+    if (!generated) {
+        return 'Swipe generation did not complete';
+    }
+    return count > 1 ? `Generated ${count} new swipes` : 'Generated new swipe';
 }
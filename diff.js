@@ -0,0 +1,217 @@
+/**
+ * Deep Swipe Extension - Swipe Diff Module
+ *
+ * Word-level diff between two swipes. The diff is computed on the text of the
+ * rendered messages and applied to the rendered HTML, so markdown formatting
+ * survives and only changed words are highlighted.
+ *
+ * @author Rurijian
+ * @license MIT
+ */
+
+/**
+ * Largest token grid (old x new) diffed word by word
+ * Beyond this the changed middle is shown as one deletion and one insertion.
+ * @constant {number}
+ */
+const MAX_DIFF_CELLS = 4_000_000;
+
+/**
+ * Split text into words, single punctuation marks and whitespace runs
+ * @param {string} text - The text to split
+ * @returns {string[]} Tokens; joined, they give back the text
+ */
+function tokenize(text) {
+    return text.match(/\s+|[\p{L}\p{N}_'’]+|[^\s\p{L}\p{N}_'’]/gu) || [];
+}
+
+/**
+ * Diff two token lists (longest common subsequence)
+ * @param {string[]} oldTokens - Tokens of the old text
+ * @param {string[]} newTokens - Tokens of the new text
+ * @returns {Array<{type: 'equal'|'insert'|'delete', text: string}>} Operations, adjacent ones of the same type merged
+ */
+function diffTokens(oldTokens, newTokens) {
+    const ops = [];
+    const push = (type, text) => {
+        const last = ops[ops.length - 1];
+        if (last?.type === type) {
+            last.text += text;
+        } else {
+            ops.push({ type, text });
+        }
+    };
+
+    // Common prefix and suffix need no grid
+    let start = 0;
+    while (start < oldTokens.length && start < newTokens.length && oldTokens[start] === newTokens[start]) {
+        start++;
+    }
+    let oldEnd = oldTokens.length;
+    let newEnd = newTokens.length;
+    while (oldEnd > start && newEnd > start && oldTokens[oldEnd - 1] === newTokens[newEnd - 1]) {
+        oldEnd--;
+        newEnd--;
+    }
+
+    push('equal', oldTokens.slice(0, start).join(''));
+
+    const a = oldTokens.slice(start, oldEnd);
+    const b = newTokens.slice(start, newEnd);
+    const rows = a.length + 1;
+    const cols = b.length + 1;
+
+    if (a.length === 0 || b.length === 0 || rows * cols > MAX_DIFF_CELLS) {
+        push('delete', a.join(''));
+        push('insert', b.join(''));
+    } else {
+        // lengths[i][j] = LCS length of a[i..] and b[j..]
+        const lengths = new Uint32Array(rows * cols);
+        for (let i = a.length - 1; i >= 0; i--) {
+            for (let j = b.length - 1; j >= 0; j--) {
+                lengths[i * cols + j] = a[i] === b[j]
+                    ? lengths[(i + 1) * cols + j + 1] + 1
+                    : Math.max(lengths[(i + 1) * cols + j], lengths[i * cols + j + 1]);
+            }
+        }
+
+        let i = 0;
+        let j = 0;
+        while (i < a.length && j < b.length) {
+            if (a[i] === b[j]) {
+                push('equal', a[i]);
+                i++;
+                j++;
+            } else if (lengths[(i + 1) * cols + j] >= lengths[i * cols + j + 1]) {
+                push('delete', a[i++]);
+            } else {
+                push('insert', b[j++]);
+            }
+        }
+        push('delete', a.slice(i).join(''));
+        push('insert', b.slice(j).join(''));
+    }
+
+    push('equal', oldTokens.slice(oldEnd).join(''));
+    return ops.filter(op => op.text.length > 0);
+}
+
+/**
+ * Collect the text nodes of an element in document order
+ * @param {HTMLElement} root - The element
+ * @returns {Text[]} Text nodes
+ */
+function getTextNodes(root) {
+    const nodes = [];
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+    while (walker.nextNode()) {
+        nodes.push(walker.currentNode);
+    }
+    return nodes;
+}
+
+/**
+ * Highlight the differences between two rendered swipes
+ * Insertions are wrapped in <ins> inside the new swipe's HTML, and deleted words
+ * are inserted as <del> where they used to be.
+ *
+ * @param {string} oldHtml - Rendered HTML of the swipe being compared against
+ * @param {string} newHtml - Rendered HTML of the swipe to highlight
+ * @returns {{html: string, insertions: number, deletions: number}} Highlighted HTML and change counts (in words)
+ */
+export function renderSwipeDiff(oldHtml, newHtml) {
+    const oldRoot = document.createElement('div');
+    oldRoot.innerHTML = oldHtml;
+    const newRoot = document.createElement('div');
+    newRoot.innerHTML = newHtml;
+
+    const ops = diffTokens(tokenize(oldRoot.textContent), tokenize(newRoot.textContent));
+
+    // Map the operations onto positions in the new text
+    const insertRanges = [];
+    const deletions = [];
+    let insertions = 0;
+    let deletedWords = 0;
+    let position = 0;
+    for (const op of ops) {
+        const isWhitespace = !op.text.trim();
+        if (op.type === 'delete') {
+            if (!isWhitespace) {
+                deletions.push({ position, text: op.text });
+                deletedWords += tokenize(op.text).filter(token => token.trim()).length;
+            }
+            continue;
+        }
+        if (op.type === 'insert' && !isWhitespace) {
+            insertRanges.push({ start: position, end: position + op.text.length });
+            insertions += tokenize(op.text).filter(token => token.trim()).length;
+        }
+        position += op.text.length;
+    }
+
+    const textNodes = getTextNodes(newRoot);
+    let nodeStart = 0;
+    textNodes.forEach((node, index) => {
+        const text = node.textContent;
+        const nodeEnd = nodeStart + text.length;
+        const isLastNode = index === textNodes.length - 1;
+
+        // Deletions anchored in this node (the last node also takes those at the very end)
+        const nodeDeletions = deletions.filter(d => d.position >= nodeStart &&
+            (d.position < nodeEnd || (isLastNode && d.position === nodeEnd)));
+        const nodeInserts = insertRanges.filter(r => r.start < nodeEnd && r.end > nodeStart);
+        if (nodeDeletions.length === 0 && nodeInserts.length === 0) {
+            nodeStart = nodeEnd;
+            return;
+        }
+
+        // Cut the node at every change boundary
+        const cuts = new Set([0, text.length]);
+        nodeDeletions.forEach(d => cuts.add(d.position - nodeStart));
+        nodeInserts.forEach(r => {
+            cuts.add(Math.max(r.start, nodeStart) - nodeStart);
+            cuts.add(Math.min(r.end, nodeEnd) - nodeStart);
+        });
+        const sortedCuts = [...cuts].sort((x, y) => x - y);
+
+        const fragment = document.createDocumentFragment();
+        for (let c = 0; c < sortedCuts.length; c++) {
+            const offset = sortedCuts[c];
+            for (const deletion of nodeDeletions.filter(d => d.position - nodeStart === offset)) {
+                const del = document.createElement('del');
+                del.className = 'deep-swipe-diff-del';
+                del.textContent = deletion.text;
+                fragment.appendChild(del);
+            }
+
+            const next = sortedCuts[c + 1];
+            if (next === undefined || next === offset) continue;
+
+            const piece = text.slice(offset, next);
+            const absolute = nodeStart + offset;
+            if (nodeInserts.some(r => absolute >= r.start && absolute < r.end)) {
+                const ins = document.createElement('ins');
+                ins.className = 'deep-swipe-diff-ins';
+                ins.textContent = piece;
+                fragment.appendChild(ins);
+            } else {
+                fragment.appendChild(document.createTextNode(piece));
+            }
+        }
+
+        node.replaceWith(fragment);
+        nodeStart = nodeEnd;
+    });
+
+    // Nothing to anchor deletions to (the new swipe is empty)
+    if (textNodes.length === 0) {
+        for (const deletion of deletions) {
+            const del = document.createElement('del');
+            del.className = 'deep-swipe-diff-del';
+            del.textContent = deletion.text;
+            newRoot.appendChild(del);
+        }
+    }
+
+    return { html: newRoot.innerHTML, insertions, deletions: deletedWords };
+}
@@ -0,0 +1,287 @@
+/**
+ * Deep Swipe Extension - Chat Doctor Module
+ *
+ * Scans the open chat for the inconsistencies an interrupted or corrupted deep
+ * swipe can leave behind, reports them, and repairs them on request.
+ *
+ * @author Rurijian
+ * @license MIT
+ */
+
+import { getContext } from '../../../extensions.js';
+import { syncReasoningFromSwipeInfo, escapeHtml, log } from './utils.js';
+import { isGenerationActive } from './queue.js';
+import { stripContinuationFromExtra } from './branches.js';
+import { saveChatVerified } from './save.js';
+
+/**
+ * Reasoning fields kept per swipe in swipe_info[i].extra
+ * @constant {string[]}
+ */
+const REASONING_FIELDS = ['reasoning', 'reasoning_duration', 'reasoning_type'];
+
+/**
+ * Bring an out-of-range swipe_id back into the swipes array
+ * @param {Object} message - The message
+ * @returns {boolean} True if swipe_id was changed
+ */
+export function fixSwipeIdBounds(message) {
+    if (!Array.isArray(message?.swipes) || message.swipes.length === 0) {
+        return false;
+    }
+    const swipeId = message.swipe_id;
+    if (Number.isInteger(swipeId) && swipeId >= 0 && swipeId < message.swipes.length) {
+        return false;
+    }
+    message.swipe_id = Number.isInteger(swipeId) && swipeId >= message.swipes.length ? message.swipes.length - 1 : 0;
+    return true;
+}
+
+/**
+ * Create a swipe_info entry for a swipe that has none
+ * @param {Object} message - The message
+ * @returns {Object} The swipe_info entry
+ */
+function createSwipeInfo(message) {
+    return {
+        send_date: message.send_date,
+        gen_started: message.gen_started,
+        gen_finished: message.gen_finished,
+        extra: {},
+    };
+}
+
+/**
+ * Check if a message carries anything in its extra data (attachments, settings, notes)
+ * @param {Object} message - The message
+ * @returns {boolean} True if any extra field holds a value
+ */
+function hasExtraPayload(message) {
+    return Object.values(message.extra || {}).some(value => {
+        if (value === undefined || value === null || value === '' || value === false) return false;
+        if (Array.isArray(value)) return value.length > 0;
+        if (typeof value === 'object') return Object.keys(value).length > 0;
+        return true;
+    });
+}
+
+/**
+ * Check one message and collect its problems
+ * @param {Object} message - The message
+ * @param {number} messageId - The message ID
+ * @param {Array<Object>} issues - Issues are appended here
+ */
+function checkMessage(message, messageId, issues) {
+    const add = (problem, fix) => issues.push({ messageId, problem, fix });
+
+    if (message?.extra?.isDeepSwipeTemp) {
+        add('Leftover Deep Swipe temp prompt message', () => ({ remove: true }));
+        return;
+    }
+
+    // Most user messages have no swipes array; a missing one counts as empty
+    const swipeTexts = Array.isArray(message.swipes) ? message.swipes : [];
+    // Attachment-only messages (image, file, media) have no text either; only truly empty ones are removed
+    if (message.is_user && !message.mes && swipeTexts.every(text => !text) && !hasExtraPayload(message)) {
+        add('Empty user message (left behind by an interrupted generation)', () => ({ remove: true }));
+        return;
+    }
+
+    if (!Array.isArray(message.swipes)) {
+        return;
+    }
+
+    if (message.swipes.length === 0) {
+        add('Empty swipes array', () => {
+            message.swipes = [message.mes ?? ''];
+            message.swipe_id = 0;
+            message.swipe_info = [createSwipeInfo(message)];
+        });
+        return;
+    }
+
+    if (!Number.isInteger(message.swipe_id) || message.swipe_id < 0 || message.swipe_id >= message.swipes.length) {
+        add(`swipe_id ${message.swipe_id} is outside the ${message.swipes.length} swipes`, () => {
+            fixSwipeIdBounds(message);
+            message.mes = message.swipes[message.swipe_id];
+        });
+    }
+
+    if (Array.isArray(message.swipe_info) && message.swipe_info.length !== message.swipes.length) {
+        add(`${message.swipes.length} swipes but ${message.swipe_info.length} swipe_info entries`, () => {
+            while (message.swipe_info.length < message.swipes.length) {
+                message.swipe_info.push(createSwipeInfo(message));
+            }
+            message.swipe_info.length = message.swipes.length;
+        });
+    }
+
+    const swipeId = Math.min(Math.max(message.swipe_id || 0, 0), message.swipes.length - 1);
+    const swipeText = message.swipes[swipeId];
+    if (message.mes !== swipeText) {
+        add(`Message text doesn't match swipe ${swipeId + 1}`, () => {
+            const currentId = Math.min(Math.max(message.swipe_id || 0, 0), message.swipes.length - 1);
+            // An emptied message lost its text; otherwise the message text holds the latest edit
+            if (!message.mes && message.swipes[currentId]) {
+                message.mes = message.swipes[currentId];
+            } else {
+                message.swipes[currentId] = message.mes ?? '';
+            }
+        });
+    }
+
+    const infoExtra = message.swipe_info?.[swipeId]?.extra;
+    if (infoExtra) {
+        const mismatched = REASONING_FIELDS.filter(field => (message.extra?.[field] ?? undefined) !== (infoExtra[field] ?? undefined));
+        if (mismatched.length > 0) {
+            add(`Reasoning doesn't match swipe ${swipeId + 1} (${mismatched.join(', ')})`, () => {
+                // Reasoning that only exists on the message is kept by copying it into swipe_info;
+                // otherwise swipe_info wins, as it does when navigating
+                if (REASONING_FIELDS.every(field => infoExtra[field] === undefined)) {
+                    REASONING_FIELDS.forEach(field => {
+                        if (message.extra?.[field] !== undefined) {
+                            infoExtra[field] = message.extra[field];
+                        }
+                    });
+                } else {
+                    syncReasoningFromSwipeInfo(message, swipeId);
+                }
+            });
+        }
+    }
+
+    if (message.extra && 'deep_swipe_continuation' in message.extra) {
+        add('Branch continuation copied into the message itself', () => stripContinuationFromExtra(message));
+    }
+}
+
+/**
+ * Scan the open chat for inconsistencies
+ * @returns {Array<{messageId: number|null, problem: string, fix: Function}>} Problems found
+ */
+export function scanChat() {
+    const chat = getContext().chat;
+    const issues = [];
+
+    chat.forEach((message, messageId) => {
+        if (message) {
+            checkMessage(message, messageId, issues);
+        }
+    });
+
+    const staleCount = document.querySelectorAll('#chat .mes[mesid^="stale-"]').length;
+    if (staleCount > 0) {
+        issues.push({
+            messageId: null,
+            problem: `${staleCount} stale message element(s) left in the page`,
+            fix: () => ({ rerender: true }),
+        });
+    }
+
+    return issues;
+}
+
+/**
+ * Apply the fixes for a list of issues, then save and re-render the chat once
+ * @param {Array<Object>} issues - Issues from scanChat()
+ * @returns {Promise<number>} Number of issues fixed
+ */
+export async function repairChat(issues) {
+    const context = getContext();
+    const chat = context.chat;
+    const toRemove = new Set();
+
+    for (const issue of issues) {
+        const result = issue.fix();
+        if (result?.remove && issue.messageId !== null) {
+            toRemove.add(chat[issue.messageId]);
+        }
+    }
+
+    // Remove by reference, last first, so earlier removals don't shift later IDs
+    for (let i = chat.length - 1; i >= 0; i--) {
+        if (toRemove.has(chat[i])) {
+            chat.splice(i, 1);
+        }
+    }
+
+    if (await saveChatVerified('Chat doctor')) {
+        await context.reloadCurrentChat();
+    } else {
+        // Reloading would bring back the server's unrepaired copy
+        const { rerenderChat } = await import('./ui.js');
+        await rerenderChat(context);
+    }
+
+    log(`Chat doctor repaired ${issues.length} issue(s)`);
+    return issues.length;
+}
+
+/**
+ * Format the issues as an HTML report
+ * @param {Array<Object>} issues - Issues from scanChat()
+ * @returns {string} HTML content
+ */
+function formatReport(issues) {
+    if (issues.length === 0) {
+        return '<h3>Chat integrity check</h3><p>No problems found.</p>';
+    }
+    const rows = issues.map(issue => `<tr>
+        <th>${issue.messageId === null ? 'Page' : `#${issue.messageId}`}</th>
+        <td>${escapeHtml(issue.problem)}</td>
+    </tr>`).join('');
+    return `<h3>Chat integrity check</h3>
+        <p>Found ${issues.length} problem${issues.length === 1 ? '' : 's'}:</p>
+        <table class="deep-swipe-info-table">${rows}</table>`;
+}
+
+/**
+ * Check the open chat, show a report and offer to repair it
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.fix=false] - Repair without asking
+ * @returns {Promise<string>} Summary
+ */
+export async function runChatDoctor({ fix = false } = {}) {
+    // The chat is truncated while a generation runs and would look broken
+    if (isGenerationActive()) {
+        toastr.warning('Please wait for the current Deep Swipe generation to finish.', 'Deep Swipe');
+        return 'Generation in progress';
+    }
+
+    if (!getContext().chat?.length) {
+        toastr.info('Open a chat to check it.', 'Deep Swipe');
+        return 'No chat open';
+    }
+
+    const issues = scanChat();
+
+    if (fix) {
+        if (issues.length === 0) {
+            return 'No problems found';
+        }
+        const fixed = await repairChat(issues);
+        toastr.success(`Repaired ${fixed} problem${fixed === 1 ? '' : 's'}.`, 'Deep Swipe');
+        return `Repaired ${fixed} problem${fixed === 1 ? '' : 's'}`;
+    }
+
+    const { callGenericPopup, POPUP_TYPE, POPUP_RESULT } = await import('../../../popup.js');
+    if (issues.length === 0) {
+        await callGenericPopup(formatReport(issues), POPUP_TYPE.TEXT);
+        return 'No problems found';
+    }
+
+    const result = await callGenericPopup(formatReport(issues), POPUP_TYPE.CONFIRM, '', {
+        okButton: 'Repair',
+        cancelButton: 'Close',
+        wide: true,
+        allowVerticalScrolling: true,
+    });
+    if (result !== POPUP_RESULT.AFFIRMATIVE) {
+        return `Found ${issues.length} problem${issues.length === 1 ? '' : 's'}`;
+    }
+
+    // Scan again - the chat may have changed while the report was open
+    const fixed = await repairChat(scanChat());
+    toastr.success(`Repaired ${fixed} problem${fixed === 1 ? '' : 's'}.`, 'Deep Swipe');
+    return `Repaired ${fixed} problem${fixed === 1 ? '' : 's'}`;
+}
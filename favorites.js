@@ -0,0 +1,71 @@
+/**
+ * Deep Swipe Extension - Favorites Module
+ *
+ * Favorite swipes: a flag kept in the swipe's swipe_info entry, so it travels
+ * with the swipe when other swipes are added or deleted.
+ *
+ * @author Rurijian
+ * @license MIT
+ */
+
+/**
+ * Key of the favorite flag in swipe_info[i].extra
+ * @constant {string}
+ */
+const FAVORITE_KEY = 'deep_swipe_favorite';
+
+/**
+ * Check if a swipe is marked as a favorite
+ * @param {Object} message - The message
+ * @param {number} swipeId - The swipe index
+ * @returns {boolean} True if the swipe is a favorite
+ */
+export function isFavoriteSwipe(message, swipeId) {
+    return message?.swipe_info?.[swipeId]?.extra?.[FAVORITE_KEY] === true;
+}
+
+/**
+ * Get the indices of a message's favorite swipes
+ * @param {Object} message - The message
+ * @returns {number[]} Favorite swipe indices, in order
+ */
+export function getFavoriteSwipeIds(message) {
+    if (!Array.isArray(message?.swipe_info)) {
+        return [];
+    }
+    return message.swipe_info
+        .map((_, index) => index)
+        .filter(index => isFavoriteSwipe(message, index));
+}
+
+/**
+ * Mark or unmark a swipe as a favorite
+ * @param {Object} message - The message (swipe_info must cover the swipe)
+ * @param {number} swipeId - The swipe index
+ * @param {boolean} favorite - True to mark, false to unmark
+ */
+export function setFavoriteSwipe(message, swipeId, favorite) {
+    const info = message?.swipe_info?.[swipeId];
+    if (!info) {
+        return;
+    }
+    // Never write through to message.extra when both point at the same object
+    info.extra = info.extra && info.extra !== message.extra ? info.extra : structuredClone(info.extra || {});
+    if (favorite) {
+        info.extra[FAVORITE_KEY] = true;
+    } else {
+        delete info.extra[FAVORITE_KEY];
+    }
+}
+
+/**
+ * Remove the favorite flag from an extra object
+ * Swiping copies swipe_info[i].extra onto the message, and new swipes start from a copy
+ * of message.extra - the flag must stay with the swipe it was set on.
+ * @param {Object} [extra] - A message.extra or swipe_info extra object
+ */
+export function stripFavoriteFlag(extra) {
+    if (extra && FAVORITE_KEY in extra) {
+        delete extra[FAVORITE_KEY];
+    }
+}
@@ -0,0 +1,189 @@
+/**
+ * Deep Swipe Extension - Touch Gestures Module
+ *
+ * Horizontal swipe gestures on historical messages for touch screens, the way
+ * native swipe gestures work on the last message. Swiping left shows the next
+ * swipe (or generates one at the end), swiping right the previous one.
+ *
+ * @author Rurijian
+ * @license MIT
+ */
+
+import { getContext } from '../../../extensions.js';
+import { getSettings, defaultSettings } from './config.js';
+import { isAnyMessageBeingEdited, isMessageSwipeable, error } from './utils.js';
+import { shouldAddUiComponents } from './ui.js';
+import { dswipeBack, dswipeForward } from './deep-swipe.js';
+
+/**
+ * Movement before a touch counts as a horizontal drag or a vertical scroll (px)
+ * @constant {number}
+ */
+const DIRECTION_LOCK_DISTANCE = 10;
+
+/**
+ * How far the message follows the finger, relative to the finger's movement
+ * @constant {number}
+ */
+const DRAG_RESISTANCE = 0.5;
+
+/**
+ * The touch being tracked, or null
+ * @type {{messageId: number, element: HTMLElement, block: HTMLElement, startX: number, startY: number, deltaX: number, dragging: boolean}|null}
+ */
+let touchState = null;
+
+/**
+ * Get the swipe distance threshold
+ * @returns {number} Horizontal distance a swipe must travel (px)
+ */
+function getSwipeThreshold() {
+    const threshold = Number(getSettings()?.touchSwipeThreshold);
+    return Number.isFinite(threshold) && threshold > 0 ? threshold : defaultSettings.touchSwipeThreshold;
+}
+
+/**
+ * Find the message a touch started on, if it can be deep swiped
+ * @param {EventTarget} target - The touch target
+ * @returns {{messageId: number, element: HTMLElement, block: HTMLElement}|null} The message, or null
+ */
+function getSwipeableMessage(target) {
+    if (!(target instanceof Element)) return null;
+    // Text fields, buttons and the reasoning block keep their own touch handling
+    if (target.closest('textarea, input, select, button, .mes_buttons, .mes_reasoning_details, .deep-swipe-left, .swipeRightBlock')) {
+        return null;
+    }
+
+    const element = target.closest('#chat .mes');
+    if (!element || element.classList.contains('is_editing')) return null;
+
+    const messageId = Number(element.getAttribute('mesid'));
+    const message = getContext().chat[messageId];
+    if (!Number.isInteger(messageId) || !message) return null;
+    if (!isMessageSwipeable(message) || !shouldAddUiComponents(element)) return null;
+
+    const block = element.querySelector('.mes_block');
+    return block ? { messageId, element, block } : null;
+}
+
+/**
+ * Move the message block back into place and drop the drag styling
+ * @param {HTMLElement} block - The message block
+ */
+function resetDragFeedback(block) {
+    block.classList.remove('deep-swipe-dragging', 'deep-swipe-drag-ready');
+    block.style.removeProperty('transform');
+    block.style.removeProperty('opacity');
+}
+
+/**
+ * Handle the start of a touch on the chat
+ * @param {TouchEvent} e - The touchstart event
+ */
+function onTouchStart(e) {
+    touchState = null;
+
+    const settings = getSettings();
+    if (!settings?.enabled || !(settings.touchGestures ?? defaultSettings.touchGestures)) return;
+    if (e.touches.length !== 1 || isAnyMessageBeingEdited()) return;
+
+    const found = getSwipeableMessage(e.target);
+    if (!found) return;
+
+    const touch = e.touches[0];
+    touchState = {
+        ...found,
+        startX: touch.clientX,
+        startY: touch.clientY,
+        deltaX: 0,
+        dragging: false,
+    };
+}
+
+/**
+ * Handle a moving touch: decide between scroll and swipe, then follow the finger
+ * @param {TouchEvent} e - The touchmove event
+ */
+function onTouchMove(e) {
+    if (!touchState) return;
+    if (e.touches.length !== 1) {
+        cancelTouch();
+        return;
+    }
+
+    const touch = e.touches[0];
+    const deltaX = touch.clientX - touchState.startX;
+    const deltaY = touch.clientY - touchState.startY;
+
+    if (!touchState.dragging) {
+        // Mostly vertical - it's a scroll, leave it alone for the rest of this touch
+        if (Math.abs(deltaY) >= DIRECTION_LOCK_DISTANCE && Math.abs(deltaY) >= Math.abs(deltaX)) {
+            touchState = null;
+            return;
+        }
+        if (Math.abs(deltaX) < DIRECTION_LOCK_DISTANCE) return;
+        touchState.dragging = true;
+        touchState.block.classList.add('deep-swipe-dragging');
+    }
+
+    // A horizontal drag owns the touch - don't let the page scroll sideways
+    if (e.cancelable) {
+        e.preventDefault();
+    }
+
+    touchState.deltaX = deltaX;
+    const threshold = getSwipeThreshold();
+    const progress = Math.min(Math.abs(deltaX) / threshold, 1);
+    touchState.block.style.transform = `translateX(${deltaX * DRAG_RESISTANCE}px)`;
+    touchState.block.style.opacity = String(1 - progress * 0.4);
+    touchState.block.classList.toggle('deep-swipe-drag-ready', Math.abs(deltaX) >= threshold);
+}
+
+/**
+ * Handle the end of a touch: swipe if it travelled far enough
+ */
+async function onTouchEnd() {
+    if (!touchState) return;
+    const { messageId, block, deltaX, dragging } = touchState;
+    touchState = null;
+
+    if (!dragging) return;
+    resetDragFeedback(block);
+
+    if (Math.abs(deltaX) < getSwipeThreshold()) return;
+
+    try {
+        // Like native gestures: swiping left shows the next swipe, swiping right the previous one
+        if (deltaX < 0) {
+            await dswipeForward({}, messageId);
+        } else {
+            await dswipeBack({}, messageId);
+        }
+    } catch (err) {
+        error('Swipe gesture failed:', err);
+    }
+}
+
+/**
+ * Abandon the current touch and undo any drag feedback
+ */
+function cancelTouch() {
+    if (touchState?.dragging) {
+        resetDragFeedback(touchState.block);
+    }
+    touchState = null;
+}
+
+/**
+ * Listen for swipe gestures on the chat
+ */
+export function setupTouchGestures() {
+    const chatElement = document.getElementById('chat');
+    if (!chatElement) return;
+
+    chatElement.addEventListener('touchstart', onTouchStart, { passive: true });
+    // Not passive: a horizontal drag has to stop the page from scrolling sideways
+    chatElement.addEventListener('touchmove', onTouchMove, { passive: false });
+    chatElement.addEventListener('touchend', onTouchEnd, { passive: true });
+    chatElement.addEventListener('touchcancel', cancelTouch, { passive: true });
+}
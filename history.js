@@ -0,0 +1,234 @@
+/**
+ * Deep Swipe Extension - Undo History Module
+ *
+ * Undo/redo for deep swipe operations. Each entry holds a message's swipes,
+ * swipe_info and swipe_id from before and after the operation (plus the later
+ * messages when a branch switch replaced them), so either state can be put back
+ * exactly.
+ *
+ * @author Rurijian
+ * @license MIT
+ */
+
+import { getContext } from '../../../extensions.js';
+import { syncReasoningFromSwipeInfo, log } from './utils.js';
+import { isGenerationActive } from './queue.js';
+import { stripContinuationFromExtra } from './branches.js';
+import { saveChatVerified } from './save.js';
+
+/**
+ * Maximum number of undo steps kept
+ * @constant {number}
+ */
+const MAX_HISTORY = 50;
+
+/** @type {Array<Object>} Entries that can be undone, newest last */
+const undoStack = [];
+
+/** @type {Array<Object>} Undone entries that can be redone, newest last */
+const redoStack = [];
+
+/**
+ * Capture the swipe state of a message
+ * @param {number} messageId - The message ID
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.withTail=false] - Also capture the messages after it (for branch switches)
+ * @returns {Object|null} The state, or null if the message doesn't exist
+ */
+export function captureSwipeState(messageId, { withTail = false } = {}) {
+    const chat = getContext().chat;
+    const message = chat?.[messageId];
+    if (!message) {
+        return null;
+    }
+    // A message that was never swiped has no swipes array; null puts it back that way
+    return {
+        mes: message.mes,
+        swipes: Array.isArray(message.swipes) ? structuredClone(message.swipes) : null,
+        swipe_info: Array.isArray(message.swipe_info) ? structuredClone(message.swipe_info) : null,
+        swipe_id: message.swipe_id,
+        tail: withTail ? structuredClone(chat.slice(messageId + 1)) : undefined,
+    };
+}
+
+/**
+ * Record a finished operation so it can be undone
+ * The state after the operation is captured now; redo history is dropped.
+ * @param {string} label - What was done, e.g. "Delete swipe"
+ * @param {number} messageId - The message the operation changed
+ * @param {Object|null} before - State captured with captureSwipeState() before the operation
+ */
+export function recordSwipeChange(label, messageId, before) {
+    if (!before) return;
+
+    const after = captureSwipeState(messageId, { withTail: before.tail !== undefined });
+    if (!after || isSameState(before, after)) return;
+
+    undoStack.push({
+        label,
+        messageId,
+        chatId: getContext().getCurrentChatId?.() ?? null,
+        before,
+        after,
+    });
+    if (undoStack.length > MAX_HISTORY) {
+        undoStack.shift();
+    }
+    redoStack.length = 0;
+}
+
+/**
+ * Forget all undo and redo steps
+ * Called when the chat changes - message IDs of one chat mean nothing in another.
+ */
+export function clearSwipeHistory() {
+    undoStack.length = 0;
+    redoStack.length = 0;
+}
+
+/**
+ * Check if there is anything to undo
+ * @returns {boolean} True if the undo stack has entries
+ */
+export function canUndoSwipeChange() {
+    return undoStack.length > 0;
+}
+
+/**
+ * Check if there is anything to redo
+ * @returns {boolean} True if the redo stack has entries
+ */
+export function canRedoSwipeChange() {
+    return redoStack.length > 0;
+}
+
+/**
+ * Undo the last deep swipe operation
+ * @returns {Promise<string>} Result message
+ */
+export async function undoSwipeChange() {
+    return await stepHistory(undoStack, redoStack, 'before', 'after', 'Undid');
+}
+
+/**
+ * Redo the last undone deep swipe operation
+ * @returns {Promise<string>} Result message
+ */
+export async function redoSwipeChange() {
+    return await stepHistory(redoStack, undoStack, 'after', 'before', 'Redid');
+}
+
+/**
+ * Move one entry from one stack to the other, putting its message back into the target state
+ * @param {Array<Object>} from - Stack to take the entry from
+ * @param {Array<Object>} to - Stack to put the entry on
+ * @param {'before'|'after'} targetKey - State to restore
+ * @param {'before'|'after'} expectedKey - State the message must be in now
+ * @param {string} verb - "Undid" or "Redid", for the result
+ * @returns {Promise<string>} Result message
+ */
+async function stepHistory(from, to, targetKey, expectedKey, verb) {
+    // The chat is truncated while a generation runs
+    if (isGenerationActive()) {
+        toastr.warning('Please wait for the current Deep Swipe generation to finish.', 'Deep Swipe');
+        return 'Generation in progress';
+    }
+
+    const entry = from.at(-1);
+    if (!entry) {
+        toastr.info(`Nothing to ${verb === 'Undid' ? 'undo' : 'redo'}.`, 'Deep Swipe');
+        return 'Nothing to do';
+    }
+
+    const context = getContext();
+    const chatId = context.getCurrentChatId?.() ?? null;
+    const expected = entry[expectedKey];
+    const current = captureSwipeState(entry.messageId, { withTail: expected.tail !== undefined });
+
+    // Edits, native swipes or new messages since the operation would be silently lost
+    if (entry.chatId !== chatId || !current || !isSameState(current, expected)) {
+        from.pop();
+        toastr.warning(`Message #${entry.messageId} has changed since "${entry.label}", so it can't be ${verb === 'Undid' ? 'undone' : 'redone'}.`, 'Deep Swipe');
+        return 'Message changed';
+    }
+
+    from.pop();
+    const saved = await applySwipeState(entry.messageId, entry[targetKey]);
+    to.push(entry);
+
+    if (!saved) {
+        return `${verb} ${entry.label.toLowerCase()} on message ${entry.messageId}, but the chat could not be saved`;
+    }
+    log(`${verb} "${entry.label}" on message ${entry.messageId}`);
+    return `${verb} ${entry.label.toLowerCase()} on message ${entry.messageId}`;
+}
+
+/**
+ * Put a message back into a captured state, then save and re-render
+ * @param {number} messageId - The message ID
+ * @param {Object} state - State from captureSwipeState()
+ * @returns {Promise<boolean>} True if the restored state was saved
+ */
+async function applySwipeState(messageId, state) {
+    const context = getContext();
+    const chat = context.chat;
+    const message = chat[messageId];
+
+    message.mes = state.mes;
+    if (state.swipe_info) {
+        message.swipe_info = structuredClone(state.swipe_info);
+    } else {
+        delete message.swipe_info;
+    }
+    if (state.swipes) {
+        message.swipes = structuredClone(state.swipes);
+        message.swipe_id = state.swipe_id;
+        syncReasoningFromSwipeInfo(message, state.swipe_id);
+    } else {
+        delete message.swipes;
+        delete message.swipe_id;
+    }
+    stripContinuationFromExtra(message);
+
+    if (state.tail !== undefined) {
+        chat.splice(messageId + 1, chat.length - messageId - 1, ...structuredClone(state.tail));
+        if (!await saveChatVerified('Undo')) {
+            // Reloading would bring back the server's copy; show the chat as it is in this tab instead
+            const { rerenderChat } = await import('./ui.js');
+            await rerenderChat(context);
+            return false;
+        }
+        await context.reloadCurrentChat();
+        return true;
+    }
+
+    const saved = await saveChatVerified('Undo');
+
+    context.addOneMessage(message, {
+        type: 'swipe',
+        forceId: messageId,
+        scroll: false,
+        showSwipes: true
+    });
+
+    const { updateMessageSwipeUI } = await import('./ui.js');
+    updateMessageSwipeUI(messageId);
+
+    const { refreshCompareDrawer } = await import('./compare.js');
+    refreshCompareDrawer(messageId);
+    return saved;
+}
+
+/**
+ * Compare two captured states
+ * @param {Object} a - First state
+ * @param {Object} b - Second state
+ * @returns {boolean} True if both hold the same text, swipes, swipe_info, swipe_id and later messages
+ */
+function isSameState(a, b) {
+    return a.mes === b.mes &&
+        a.swipe_id === b.swipe_id &&
+        JSON.stringify(a.swipes) === JSON.stringify(b.swipes) &&
+        JSON.stringify(a.swipe_info) === JSON.stringify(b.swipe_info) &&
+        JSON.stringify(a.tail) === JSON.stringify(b.tail);
+}
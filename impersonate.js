@@ -0,0 +1,56 @@
+/**
+ * Deep Swipe Extension - Native Impersonate Module
+ *
+ * Generates user-message swipes through SillyTavern's own `impersonate` generation,
+ * so the prompt is built for the user speaking: instruct user sequence, persona
+ * description and the API's impersonation prompt. SillyTavern writes the result
+ * into the send box; it is taken from there and the box is put back as it was.
+ *
+ * @author Rurijian
+ * @license MIT
+ */
+
+import { Generate, eventSource, event_types } from '../../../../script.js';
+
+/**
+ * Check if this SillyTavern version can run a native impersonation for Deep Swipe
+ * Older versions don't report the finished impersonation, and without the send box
+ * there is nowhere for the result to go.
+ * @returns {boolean} True if native impersonation can be used
+ */
+export function isNativeImpersonateAvailable() {
+    return typeof event_types?.IMPERSONATE_READY === 'string' && Boolean(document.getElementById('send_textarea'));
+}
+
+/**
+ * Generate a user message with SillyTavern's impersonate generation type
+ * The caller truncates the chat after the target, so the model sees the message the prompt
+ * asks it to rewrite and writes the rewrite as the next user turn.
+ * @param {string} prompt - Instruction sent along with the impersonation (the expanded Deep Swipe prompt)
+ * @returns {Promise<string>} The impersonated text ('' if nothing was generated)
+ */
+export async function generateNativeImpersonation(prompt) {
+    const textarea = /** @type {HTMLTextAreaElement} */ (document.getElementById('send_textarea'));
+    // Whatever the user was typing must neither prefill the impersonation nor be lost
+    const typedText = textarea.value;
+    textarea.value = '';
+
+    let readyText = null;
+    const onImpersonateReady = (text) => {
+        readyText = typeof text === 'string' ? text : null;
+    };
+    eventSource.on(event_types.IMPERSONATE_READY, onImpersonateReady);
+
+    try {
+        await Generate('impersonate', {
+            automatic_trigger: true,
+            quiet_prompt: prompt,
+            quietToLoud: true,
+        });
+        return (readyText ?? textarea.value ?? '').trim();
+    } finally {
+        eventSource.removeListener(event_types.IMPERSONATE_READY, onImpersonateReady);
+        textarea.value = typedText;
+        textarea.dispatchEvent(new Event('input', { bubbles: true }));
+    }
+}
@@ -18,9 +18,13 @@ import {
     DEFAULT_IMPERSONATION_PROMPT,
     DEFAULT_ASSISTANT_PROMPT,
     defaultSettings,
+    DEFAULT_KEY_BINDINGS,
+    DEFAULT_PROMPT_TEMPLATES,
+    MAX_INFILL_MESSAGES,
     loadSettings,
     setButtonsInitialized,
     getSettings,
+    getGlobalSettings,
     updateSetting
 } from './config.js';
 
@@ -56,7 +60,9 @@ import {
     generateMessageSwipe,
     handleUserSwipeBack,
     dswipeBack,
-    dswipeForward
+    dswipeForward,
+    dswipeGoto,
+    dswipeRipple
 } from './deep-swipe.js';
 
 import {
@@ -64,10 +70,95 @@ import {
     handleDeleteClick
 } from './commands.js';
 
+import {
+    clearQueue,
+    showQueuePanel
+} from './queue.js';
+
+import { closeCompareDrawer } from './compare.js';
+import { offerJournalRecovery } from './journal.js';
+import { runChatDoctor } from './doctor.js';
+import {
+    clearSwipeHistory,
+    canUndoSwipeChange,
+    canRedoSwipeChange,
+    undoSwipeChange,
+    redoSwipeChange
+} from './history.js';
+import {
+    onKeyboardNavigationKeyDown,
+    clearKeyboardFocus,
+    formatKeyCombo,
+    getKeyBindings
+} from './keyboard.js';
+import { setupTouchGestures } from './gestures.js';
+import { getPromptTemplates } from './templates.js';
+import { isNativeImpersonateAvailable } from './impersonate.js';
+import {
+    OVERRIDABLE_SETTINGS,
+    SETTING_LEVEL,
+    isSettingLevelAvailable,
+    getOverrides,
+    getSettingLevel,
+    setSettingOverride,
+    clearSettingOverride
+} from './overrides.js';
+
+/**
+ * Settings drawer controls of the settings that can be overridden per character and per chat
+ * @constant {Object<string, string>}
+ */
+const LEVELED_SETTING_CONTROLS = {
+    impersonationPrompt: 'deep_swipe_impersonation_prompt',
+    assistantPrompt: 'deep_swipe_assistant_prompt',
+    userSwipes: 'deep_swipe_user_swipes',
+    assistantSwipes: 'deep_swipe_assistant_swipes',
+    autoAdvanceToLatest: 'deep_swipe_auto_advance',
+};
+
+/**
+ * The level the settings drawer edits overridable settings at
+ * @type {string}
+ */
+let settingsLevel = SETTING_LEVEL.GLOBAL;
+
+/**
+ * ID of the chat that was open at the last CHAT_CHANGED, to tell a reload from a chat switch
+ * @type {string|null}
+ */
+let openChatId = null;
+
 // Re-export for external use
 export { getSwipeIndexForDelete as getDeleteSwipeIndex };
 export { getCurrentEditMessageId };
 
+/**
+ * Handle Ctrl+Z / Ctrl+Y (Ctrl+Shift+Z) outside text fields as deep swipe undo/redo
+ * @param {KeyboardEvent} e - The keydown event
+ */
+function onUndoKeyDown(e) {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+    if (!getSettings()?.enabled) return;
+
+    // Leave the browser's own undo alone while typing
+    const target = e.target;
+    if (target instanceof HTMLElement && (target.closest('textarea, input, select') || target.isContentEditable)) {
+        return;
+    }
+
+    const key = e.key.toLowerCase();
+    const isRedo = key === 'y' || (key === 'z' && e.shiftKey);
+    const isUndo = key === 'z' && !e.shiftKey;
+
+    if (isUndo && canUndoSwipeChange()) {
+        e.preventDefault();
+        undoSwipeChange();
+    } else if (isRedo && canRedoSwipeChange()) {
+        e.preventDefault();
+        redoSwipeChange();
+    }
+}
+
 /**
  * Initialize UI components
  */
@@ -85,6 +176,23 @@ function initializeUi() {
     context.eventSource.makeLast(context.eventTypes.MESSAGE_UPDATED, onMessageUpdated);
     context.eventSource.makeLast(context.eventTypes.MESSAGE_SWIPED, onMessageUpdated);
     context.eventSource.on(context.eventTypes.CHAT_CHANGED, () => {
+        // Reloading the open chat (branch switches and undo do) fires this too
+        const chatId = getContext().getCurrentChatId?.() ?? null;
+        const isSameChat = chatId !== null && chatId === openChatId;
+        openChatId = chatId;
+
+        // Queued message IDs belong to the previous chat; a reload keeps them valid
+        // (a running deep swipe may reload the chat itself)
+        if (!isSameChat) {
+            clearQueue();
+            clearSwipeHistory();
+        }
+        clearKeyboardFocus();
+        closeCompareDrawer();
+        // Overrides belong to the chat and character that were open
+        refreshLeveledSettingsUi();
+        // An interrupted generation in this chat can be recovered now that it is open
+        offerJournalRecovery();
         setTimeout(() => addUiToAllMessages(), 500);
     });
 
@@ -121,6 +229,12 @@ function initializeUi() {
     // Set up MutationObservers for dynamic message handling
     setupMutationObservers(context, handleDeleteClick);
 
+    document.addEventListener('keydown', onUndoKeyDown);
+    // Capture phase, so handled keys never reach SillyTavern's own arrow-key swipes
+    document.addEventListener('keydown', onKeyboardNavigationKeyDown, true);
+
+    setupTouchGestures();
+
     setButtonsInitialized();
 }
 
@@ -158,6 +272,7 @@ function onSwipeNavigationChange(event) {
         // Remove all navigation elements including left/right blocks
         document.querySelectorAll('.deep-swipe-left').forEach(el => el.remove());
         document.querySelectorAll('.deep-swipe-right-block').forEach(el => el.remove());
+        document.querySelectorAll('.deep-swipe-info, .deep-swipe-branch-indicator, .assistant-swipe-counter, .deep-swipe-continue-button').forEach(el => el.remove());
         document.querySelectorAll('.deep-swipe-navigation').forEach(nav => nav.remove());
     }
 }
@@ -168,28 +283,16 @@ function onSwipeNavigationChange(event) {
  */
 function onUserSwipesChange(event) {
     const value = Boolean(event.target.checked);
-    updateSetting('userSwipes', value);
+    updateLeveledSetting('userSwipes', value);
 
     if (value) {
-        toastr.success('User message swipes enabled', 'Deep Swipe');
-        // Refresh UI to show navigation on user messages
-        const context = getContext();
-        context.chat.forEach((_, index) => addSwipeNavigationToMessage(index));
+        toastr.success(`User message swipes enabled${describeSettingsLevel()}`, 'Deep Swipe');
     } else {
-        toastr.info('User message swipes disabled', 'Deep Swipe');
-        // Remove navigation from user messages
-        removeAllDeepSwipeUI();
-        // Re-add to AI messages only
-        const context = getContext();
-        const settings = getSettings();
-        if (settings?.swipeNavigation) {
-            context.chat.forEach((msg, index) => {
-                if (!msg.is_user) {
-                    addSwipeNavigationToMessage(index);
-                }
-            });
-        }
+        toastr.info(`User message swipes disabled${describeSettingsLevel()}`, 'Deep Swipe');
     }
+    // Re-add navigation where the setting in effect allows it
+    removeAllDeepSwipeUI();
+    addUiToAllMessages();
 }
 
 /**
@@ -198,7 +301,7 @@ function onUserSwipesChange(event) {
  */
 function onImpersonationPromptChange(event) {
     const value = event.target.value;
-    updateSetting('impersonationPrompt', value);
+    updateLeveledSetting('impersonationPrompt', value);
 }
 
 /**
@@ -207,7 +310,121 @@ function onImpersonationPromptChange(event) {
  */
 function onAssistantPromptChange(event) {
     const value = event.target.value;
-    updateSetting('assistantPrompt', value);
+    updateLeveledSetting('assistantPrompt', value);
+}
+
+/**
+ * Describe the level the drawer edits, for toasts
+ * @returns {string} "" for global, otherwise " for this character" or " for this chat"
+ */
+function describeSettingsLevel() {
+    if (settingsLevel === SETTING_LEVEL.CHAT) return ' for this chat';
+    if (settingsLevel === SETTING_LEVEL.CHARACTER) return ' for this character';
+    return '';
+}
+
+/**
+ * Store an overridable setting at the level the drawer edits
+ * @param {string} key - The setting key
+ * @param {*} value - The new value
+ */
+function updateLeveledSetting(key, value) {
+    if (settingsLevel === SETTING_LEVEL.GLOBAL) {
+        updateSetting(key, value);
+    } else {
+        setSettingOverride(settingsLevel, key, value);
+    }
+    renderSettingLevelBadges();
+}
+
+/**
+ * Get the value of an overridable setting as seen from the level the drawer edits
+ * @param {string} key - The setting key
+ * @returns {*} The value at that level, or the one it inherits
+ */
+function getSettingAtLevel(key) {
+    const globalValue = getGlobalSettings()[key] ?? defaultSettings[key];
+    if (settingsLevel === SETTING_LEVEL.GLOBAL) {
+        return globalValue;
+    }
+    if (settingsLevel === SETTING_LEVEL.CHARACTER) {
+        const characterOverrides = getOverrides(SETTING_LEVEL.CHARACTER);
+        return key in characterOverrides ? characterOverrides[key] : globalValue;
+    }
+    return getSettings()[key] ?? defaultSettings[key];
+}
+
+/**
+ * Show next to each overridable setting where its value in the open chat comes from
+ */
+function renderSettingLevelBadges() {
+    for (const key of OVERRIDABLE_SETTINGS) {
+        const badge = document.querySelector(`.deep-swipe-level-badge[data-setting="${key}"]`);
+        if (!badge) continue;
+
+        const level = getSettingLevel(key);
+        badge.textContent = level === SETTING_LEVEL.GLOBAL ? '' : level;
+        badge.dataset.level = level;
+        badge.title = level === SETTING_LEVEL.GLOBAL
+            ? ''
+            : `Set for this ${level}, overriding the ${level === SETTING_LEVEL.CHAT ? 'character and global values' : 'global value'}. Click to remove the override.`;
+    }
+}
+
+/**
+ * Fill the overridable settings and level badges for the open chat
+ * Falls back to editing global settings if the chosen level isn't available here.
+ */
+function refreshLeveledSettingsUi() {
+    const levelSelect = document.getElementById('deep_swipe_settings_level');
+    if (!levelSelect) return;
+
+    for (const option of levelSelect.options) {
+        option.disabled = !isSettingLevelAvailable(option.value);
+    }
+    if (!isSettingLevelAvailable(settingsLevel)) {
+        settingsLevel = SETTING_LEVEL.GLOBAL;
+    }
+    levelSelect.value = settingsLevel;
+
+    for (const [key, id] of Object.entries(LEVELED_SETTING_CONTROLS)) {
+        const control = document.getElementById(id);
+        if (!control) continue;
+        const value = getSettingAtLevel(key);
+        if (control.type === 'checkbox') {
+            control.checked = Boolean(value);
+        } else {
+            control.value = value ?? '';
+        }
+    }
+    renderSettingLevelBadges();
+}
+
+/**
+ * Handle settings level selection change
+ * @param {Event} event - The change event
+ */
+function onSettingsLevelChange(event) {
+    settingsLevel = event.target.value;
+    refreshLeveledSettingsUi();
+}
+
+/**
+ * Remove an override when its badge is clicked
+ * @param {Event} event - The click event
+ */
+function onSettingLevelBadgeClick(event) {
+    const badge = event.target.closest('.deep-swipe-level-badge');
+    const key = badge?.dataset.setting;
+    const level = badge?.dataset.level;
+    if (!key || !level || level === SETTING_LEVEL.GLOBAL) return;
+
+    event.preventDefault();
+    clearSettingOverride(level, key);
+    toastr.info(`Override for this ${level} removed`, 'Deep Swipe');
+    refreshLeveledSettingsUi();
+    removeAllDeepSwipeUI();
+    addUiToAllMessages();
 }
 
 /**
@@ -216,28 +433,16 @@ function onAssistantPromptChange(event) {
  */
 function onAssistantSwipesChange(event) {
     const value = Boolean(event.target.checked);
-    updateSetting('assistantSwipes', value);
+    updateLeveledSetting('assistantSwipes', value);
 
     if (value) {
-        toastr.success('Assistant message swipes enabled', 'Deep Swipe');
-        // Refresh UI to show navigation on assistant messages
-        const context = getContext();
-        context.chat.forEach((_, index) => addSwipeNavigationToMessage(index));
+        toastr.success(`Assistant message swipes enabled${describeSettingsLevel()}`, 'Deep Swipe');
     } else {
-        toastr.info('Assistant message swipes disabled', 'Deep Swipe');
-        // Remove navigation from assistant messages
-        removeAllDeepSwipeUI();
-        // Re-add to user messages only
-        const context = getContext();
-        const settings = getSettings();
-        if (settings?.swipeNavigation && settings?.userSwipes) {
-            context.chat.forEach((msg, index) => {
-                if (msg.is_user) {
-                    addSwipeNavigationToMessage(index);
-                }
-            });
-        }
+        toastr.info(`Assistant message swipes disabled${describeSettingsLevel()}`, 'Deep Swipe');
     }
+    // Re-add navigation where the setting in effect allows it
+    removeAllDeepSwipeUI();
+    addUiToAllMessages();
 }
 
 /**
@@ -247,8 +452,8 @@ function onResetPromptClick() {
     const textarea = document.getElementById('deep_swipe_impersonation_prompt');
     if (textarea) {
         textarea.value = DEFAULT_IMPERSONATION_PROMPT;
-        updateSetting('impersonationPrompt', DEFAULT_IMPERSONATION_PROMPT);
-        toastr.info('Impersonation prompt reset to default', 'Deep Swipe');
+        updateLeveledSetting('impersonationPrompt', DEFAULT_IMPERSONATION_PROMPT);
+        toastr.info(`Impersonation prompt reset to default${describeSettingsLevel()}`, 'Deep Swipe');
     }
 }
 
@@ -259,8 +464,8 @@ function onResetAssistantPromptClick() {
     const textarea = document.getElementById('deep_swipe_assistant_prompt');
     if (textarea) {
         textarea.value = DEFAULT_ASSISTANT_PROMPT;
-        updateSetting('assistantPrompt', DEFAULT_ASSISTANT_PROMPT);
-        toastr.info('Assistant prompt reset to default', 'Deep Swipe');
+        updateLeveledSetting('assistantPrompt', DEFAULT_ASSISTANT_PROMPT);
+        toastr.info(`Assistant prompt reset to default${describeSettingsLevel()}`, 'Deep Swipe');
     }
 }
 
@@ -270,43 +475,345 @@ function onResetAssistantPromptClick() {
  */
 function onAutoAdvanceChange(event) {
     const value = Boolean(event.target.checked);
-    updateSetting('autoAdvanceToLatest', value);
+    updateLeveledSetting('autoAdvanceToLatest', value);
 
     if (value) {
-        toastr.info('Auto-advance to latest swipe enabled', 'Deep Swipe');
+        toastr.info(`Auto-advance to latest swipe enabled${describeSettingsLevel()}`, 'Deep Swipe');
+    } else {
+        toastr.info(`Auto-advance to latest swipe disabled${describeSettingsLevel()}`, 'Deep Swipe');
+    }
+}
+
+/**
+ * Handle branch-aware swipes toggle change
+ * @param {Event} event - The change event
+ */
+function onBranchAwareChange(event) {
+    const value = Boolean(event.target.checked);
+    updateSetting('branchAwareSwipes', value);
+
+    if (value) {
+        toastr.info('Branch-aware swipes enabled', 'Deep Swipe');
+    } else {
+        toastr.info('Branch-aware swipes disabled. Stored branches are kept and come back when re-enabled.', 'Deep Swipe');
+    }
+    addUiToAllMessages();
+}
+
+/**
+ * Handle counter dots toggle change
+ * @param {Event} event - The change event
+ */
+function onCounterPipsChange(event) {
+    const value = Boolean(event.target.checked);
+    updateSetting('counterPips', value);
+    addUiToAllMessages();
+}
+
+/**
+ * Handle native impersonate toggle change
+ * @param {Event} event - The change event
+ */
+function onNativeImpersonateChange(event) {
+    const value = Boolean(event.target.checked);
+    updateSetting('nativeImpersonate', value);
+
+    if (value && !isNativeImpersonateAvailable()) {
+        toastr.warning('Native impersonate is not available in this SillyTavern version. User swipes keep using the temp message method.', 'Deep Swipe');
+    } else if (value) {
+        toastr.info('User swipes now use native impersonate', 'Deep Swipe');
     } else {
-        toastr.info('Auto-advance to latest swipe disabled', 'Deep Swipe');
+        toastr.info('User swipes now use the temp message method', 'Deep Swipe');
     }
 }
 
+/**
+ * Handle infill mode toggle change
+ * @param {Event} event - The change event
+ */
+function onInfillModeChange(event) {
+    const value = Boolean(event.target.checked);
+    updateSetting('infillMode', value);
+
+    if (value) {
+        toastr.info('Infill mode enabled', 'Deep Swipe');
+    } else {
+        toastr.info('Infill mode disabled', 'Deep Swipe');
+    }
+}
+
+/**
+ * Handle infill message count change
+ * @param {Event} event - The change event
+ */
+function onInfillCountChange(event) {
+    const value = parseInt(event.target.value, 10);
+    if (isNaN(value) || value < 1 || value > MAX_INFILL_MESSAGES) {
+        event.target.value = getGlobalSettings()?.infillMessageCount ?? defaultSettings.infillMessageCount;
+        toastr.warning(`Infill can include 1 to ${MAX_INFILL_MESSAGES} later messages`, 'Deep Swipe');
+        return;
+    }
+    updateSetting('infillMessageCount', value);
+}
+
+/**
+ * Handle infill style change
+ * @param {Event} event - The change event
+ */
+function onInfillStyleChange(event) {
+    updateSetting('infillStyle', event.target.value);
+}
+
+/**
+ * Handle touch gestures toggle change
+ * @param {Event} event - The change event
+ */
+function onTouchGesturesChange(event) {
+    const value = Boolean(event.target.checked);
+    updateSetting('touchGestures', value);
+
+    if (value) {
+        toastr.info('Touch swipe gestures enabled', 'Deep Swipe');
+    } else {
+        toastr.info('Touch swipe gestures disabled', 'Deep Swipe');
+    }
+}
+
+/**
+ * Handle touch swipe distance change
+ * @param {Event} event - The change event
+ */
+function onTouchThresholdChange(event) {
+    const value = parseInt(event.target.value, 10);
+    if (isNaN(value) || value < 30 || value > 300) {
+        event.target.value = getGlobalSettings()?.touchSwipeThreshold ?? defaultSettings.touchSwipeThreshold;
+        toastr.warning('Swipe distance must be between 30 and 300 pixels', 'Deep Swipe');
+        return;
+    }
+    updateSetting('touchSwipeThreshold', value);
+}
+
+/**
+ * Handle keyboard navigation toggle change
+ * @param {Event} event - The change event
+ */
+function onKeyboardNavigationChange(event) {
+    const value = Boolean(event.target.checked);
+    updateSetting('keyboardNavigation', value);
+
+    if (value) {
+        const bindings = getKeyBindings();
+        toastr.info(`Keyboard navigation enabled. Press ${bindings.focusPrev || 'the focus key'} to focus a message.`, 'Deep Swipe');
+    } else {
+        clearKeyboardFocus();
+        toastr.info('Keyboard navigation disabled', 'Deep Swipe');
+    }
+}
+
+/**
+ * Record a new key for a keyboard navigation action
+ * Tab moves on as usual; Backspace or Delete clears the key.
+ * @param {KeyboardEvent} event - The keydown event on a key binding field
+ */
+function onKeyBindingKeyDown(event) {
+    if (event.key === 'Tab') return;
+    event.preventDefault();
+    event.stopPropagation();
+
+    const input = event.target;
+    const combo = event.key === 'Backspace' || event.key === 'Delete' ? '' : formatKeyCombo(event);
+    if (combo === null) return;
+
+    input.value = combo;
+    updateSetting('keyBindings', { ...getKeyBindings(), [input.dataset.action]: combo });
+}
+
+/**
+ * Handle reset key bindings button click
+ */
+function onResetKeyBindingsClick() {
+    updateSetting('keyBindings', { ...DEFAULT_KEY_BINDINGS });
+    document.querySelectorAll('.deep-swipe-key-binding').forEach(input => {
+        input.value = DEFAULT_KEY_BINDINGS[input.dataset.action] ?? '';
+    });
+    toastr.info('Keyboard navigation keys reset to default', 'Deep Swipe');
+}
+
+/**
+ * Fill the template library editor from the settings
+ * @param {number} [selectedIndex=0] - The template to show in the editor
+ */
+function renderPromptTemplateLibrary(selectedIndex = 0) {
+    const select = document.getElementById('deep_swipe_template_select');
+    const nameInput = document.getElementById('deep_swipe_template_name');
+    const promptTextarea = document.getElementById('deep_swipe_template_prompt');
+    if (!select || !nameInput || !promptTextarea) return;
+
+    const templates = getPromptTemplates();
+    const index = Math.min(Math.max(selectedIndex, 0), templates.length - 1);
+    select.innerHTML = '';
+    templates.forEach((template, i) => select.appendChild(new Option(template.name || '(unnamed)', String(i))));
+    select.value = String(index);
+
+    const template = templates[index];
+    nameInput.value = template?.name ?? '';
+    promptTextarea.value = template?.prompt ?? '';
+    nameInput.disabled = !template;
+    promptTextarea.disabled = !template;
+}
+
+/**
+ * Store one changed field of the template shown in the library editor
+ * @param {string} field - "name" or "prompt"
+ * @param {string} value - The new value
+ * @returns {number} Index of the edited template, or -1 if none is shown
+ */
+function updateSelectedPromptTemplate(field, value) {
+    const index = Number(document.getElementById('deep_swipe_template_select')?.value);
+    const templates = getPromptTemplates().map(template => ({ ...template }));
+    if (!Number.isInteger(index) || !templates[index]) return -1;
+
+    templates[index][field] = value;
+    updateSetting('promptTemplates', templates);
+    return index;
+}
+
+/**
+ * Handle template library selection change
+ * @param {Event} event - The change event
+ */
+function onPromptTemplateSelectChange(event) {
+    renderPromptTemplateLibrary(Number(event.target.value));
+}
+
+/**
+ * Handle template name change
+ * @param {Event} event - The change event
+ */
+function onPromptTemplateNameChange(event) {
+    const name = event.target.value.trim();
+    if (!name) {
+        toastr.warning('A template needs a name.', 'Deep Swipe');
+        renderPromptTemplateLibrary(Number(document.getElementById('deep_swipe_template_select')?.value));
+        return;
+    }
+
+    const index = updateSelectedPromptTemplate('name', name);
+    const duplicate = getPromptTemplates().some((template, i) => i !== index && template.name.trim().toLowerCase() === name.toLowerCase());
+    if (duplicate) {
+        toastr.warning(`Another template is already called "${name}"; only the first one can be picked by name.`, 'Deep Swipe');
+    }
+    renderPromptTemplateLibrary(index);
+}
+
+/**
+ * Handle template prompt change
+ * @param {Event} event - The input event
+ */
+function onPromptTemplatePromptChange(event) {
+    updateSelectedPromptTemplate('prompt', event.target.value);
+}
+
+/**
+ * Handle add template button click
+ */
+function onAddPromptTemplateClick() {
+    const templates = getPromptTemplates().map(template => ({ ...template }));
+    const names = new Set(templates.map(template => template.name.trim().toLowerCase()));
+    let name = 'New template';
+    for (let n = 2; names.has(name.toLowerCase()); n++) {
+        name = `New template ${n}`;
+    }
+
+    templates.push({ name, prompt: '{{input}}' });
+    updateSetting('promptTemplates', templates);
+    renderPromptTemplateLibrary(templates.length - 1);
+    document.getElementById('deep_swipe_template_name')?.focus();
+}
+
+/**
+ * Handle delete template button click
+ */
+async function onDeletePromptTemplateClick() {
+    const index = Number(document.getElementById('deep_swipe_template_select')?.value);
+    const templates = getPromptTemplates().map(template => ({ ...template }));
+    if (!Number.isInteger(index) || !templates[index]) return;
+
+    const { callGenericPopup, POPUP_TYPE, POPUP_RESULT } = await import('../../../popup.js');
+    const result = await callGenericPopup(`Delete the prompt template "${templates[index].name}"?`, POPUP_TYPE.CONFIRM);
+    if (result !== POPUP_RESULT.AFFIRMATIVE) return;
+
+    templates.splice(index, 1);
+    updateSetting('promptTemplates', templates);
+    renderPromptTemplateLibrary(index);
+}
+
+/**
+ * Handle reset templates button click
+ */
+async function onResetPromptTemplatesClick() {
+    const { callGenericPopup, POPUP_TYPE, POPUP_RESULT } = await import('../../../popup.js');
+    const result = await callGenericPopup('Replace the template library with the starter templates? Your own templates are deleted.', POPUP_TYPE.CONFIRM);
+    if (result !== POPUP_RESULT.AFFIRMATIVE) return;
+
+    updateSetting('promptTemplates', DEFAULT_PROMPT_TEMPLATES.map(template => ({ ...template })));
+    renderPromptTemplateLibrary(0);
+    toastr.info('Prompt templates reset to default', 'Deep Swipe');
+}
+
 /**
  * Initialize the extension
  */
 jQuery(async () => {
     try {
         // Set up swipe functions for UI module
-        setSwipeFunctions(dswipeBack, dswipeForward);
+        setSwipeFunctions(dswipeBack, dswipeForward, dswipeGoto);
 
         const settingsHtml = await $.get(`${extensionFolderPath}/settings.html`);
         $('#extensions_settings').append(settingsHtml);
 
         document.getElementById('deep_swipe_enabled')?.addEventListener('change', onEnabledChange);
+        document.getElementById('deep_swipe_settings_level')?.addEventListener('change', onSettingsLevelChange);
+        document.querySelectorAll('.deep-swipe-level-badge').forEach(badge => badge.addEventListener('click', onSettingLevelBadgeClick));
         document.getElementById('deep_swipe_swipe_navigation')?.addEventListener('change', onSwipeNavigationChange);
         document.getElementById('deep_swipe_user_swipes')?.addEventListener('change', onUserSwipesChange);
         document.getElementById('deep_swipe_assistant_swipes')?.addEventListener('change', onAssistantSwipesChange);
         document.getElementById('deep_swipe_auto_advance')?.addEventListener('change', onAutoAdvanceChange);
+        document.getElementById('deep_swipe_branch_aware')?.addEventListener('change', onBranchAwareChange);
+        document.getElementById('deep_swipe_counter_pips')?.addEventListener('change', onCounterPipsChange);
+        document.getElementById('deep_swipe_infill_mode')?.addEventListener('change', onInfillModeChange);
+        document.getElementById('deep_swipe_infill_count')?.addEventListener('change', onInfillCountChange);
+        document.getElementById('deep_swipe_infill_style')?.addEventListener('change', onInfillStyleChange);
+        document.getElementById('deep_swipe_touch_gestures')?.addEventListener('change', onTouchGesturesChange);
+        document.getElementById('deep_swipe_touch_threshold')?.addEventListener('change', onTouchThresholdChange);
+        document.getElementById('deep_swipe_keyboard_navigation')?.addEventListener('change', onKeyboardNavigationChange);
+        document.querySelectorAll('.deep-swipe-key-binding').forEach(input => input.addEventListener('keydown', onKeyBindingKeyDown));
+        document.getElementById('deep_swipe_reset_key_bindings')?.addEventListener('click', onResetKeyBindingsClick);
         document.getElementById('deep_swipe_impersonation_prompt')?.addEventListener('input', onImpersonationPromptChange);
         document.getElementById('deep_swipe_reset_prompt')?.addEventListener('click', onResetPromptClick);
+        document.getElementById('deep_swipe_native_impersonate')?.addEventListener('change', onNativeImpersonateChange);
         document.getElementById('deep_swipe_assistant_prompt')?.addEventListener('input', onAssistantPromptChange);
         document.getElementById('deep_swipe_reset_assistant_prompt')?.addEventListener('click', onResetAssistantPromptClick);
+        document.getElementById('deep_swipe_template_select')?.addEventListener('change', onPromptTemplateSelectChange);
+        document.getElementById('deep_swipe_template_name')?.addEventListener('change', onPromptTemplateNameChange);
+        document.getElementById('deep_swipe_template_prompt')?.addEventListener('input', onPromptTemplatePromptChange);
+        document.getElementById('deep_swipe_add_template')?.addEventListener('click', onAddPromptTemplateClick);
+        document.getElementById('deep_swipe_delete_template')?.addEventListener('click', onDeletePromptTemplateClick);
+        document.getElementById('deep_swipe_reset_templates')?.addEventListener('click', onResetPromptTemplatesClick);
+        document.getElementById('deep_swipe_show_queue')?.addEventListener('click', showQueuePanel);
+        document.getElementById('deep_swipe_run_doctor')?.addEventListener('click', () => runChatDoctor());
 
         loadSettings();
-        await registerSlashCommands(dswipeBack, dswipeForward);
+        refreshLeveledSettingsUi();
+        renderPromptTemplateLibrary();
+        await registerSlashCommands(dswipeBack, dswipeForward, dswipeGoto, dswipeRipple);
 
         // Try multiple times to add UI as messages may render at different times
         setTimeout(() => {
             initializeUi();
             addUiToAllMessages();
+            // A generation interrupted by a reload or crash left its journal behind
+            offerJournalRecovery();
         }, 1000);
 
         // Additional attempts to catch late-rendered messages
@@ -0,0 +1,197 @@
+/**
+ * Deep Swipe Extension - Generation Journal Module
+ *
+ * Writes the pre-generation chat to IndexedDB (localStorage as a fallback)
+ * before a deep swipe truncates the chat, and clears it once the chat has been
+ * restored. If the tab is closed or crashes mid-generation, the journal is
+ * still there on the next start and the chat can be put back.
+ *
+ * @author Rurijian
+ * @license MIT
+ */
+
+import { getContext } from '../../../extensions.js';
+import { log, error } from './utils.js';
+
+const DB_NAME = 'deep-swipe';
+const STORE_NAME = 'journal';
+const JOURNAL_KEY = 'active';
+const FALLBACK_STORAGE_KEY = 'deep-swipe-journal';
+
+// Only one recovery prompt at a time
+let recoveryPromptOpen = false;
+
+// The "open that chat" hint is shown once per session
+let otherChatNoticeShown = false;
+
+/**
+ * Open the journal database
+ * @returns {Promise<IDBDatabase>} The database
+ */
+function openDatabase() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Run one request against the journal store
+ * @param {IDBTransactionMode} mode - Transaction mode
+ * @param {function(IDBObjectStore): IDBRequest} action - Creates the request
+ * @returns {Promise<*>} The request result
+ */
+async function withStore(mode, action) {
+    const db = await openDatabase();
+    try {
+        return await new Promise((resolve, reject) => {
+            const transaction = db.transaction(STORE_NAME, mode);
+            const request = action(transaction.objectStore(STORE_NAME));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    } finally {
+        db.close();
+    }
+}
+
+/**
+ * Write the journal for a generation that is about to truncate the chat
+ * @param {number} messageId - The message being deep swiped
+ * @param {Array<Object>} chatBackup - The complete chat before any changes
+ */
+export async function writeJournal(messageId, chatBackup) {
+    const context = getContext();
+    const entry = {
+        chatId: context.getCurrentChatId?.() ?? null,
+        characterName: context.name2 || '',
+        messageId,
+        startedAt: Date.now(),
+        chat: chatBackup,
+    };
+
+    try {
+        await withStore('readwrite', store => store.put(entry, JOURNAL_KEY));
+        return;
+    } catch (err) {
+        error('Could not write the generation journal to IndexedDB, falling back to localStorage:', err);
+    }
+
+    try {
+        localStorage.setItem(FALLBACK_STORAGE_KEY, JSON.stringify(entry));
+    } catch (err) {
+        error('Could not write the generation journal:', err);
+    }
+}
+
+/**
+ * Read the journal of an unfinished generation
+ * @returns {Promise<Object|null>} The journal entry, or null if there is none
+ */
+export async function readJournal() {
+    try {
+        const entry = await withStore('readonly', store => store.get(JOURNAL_KEY));
+        if (entry) return entry;
+    } catch (err) {
+        error('Could not read the generation journal from IndexedDB:', err);
+    }
+
+    try {
+        const stored = localStorage.getItem(FALLBACK_STORAGE_KEY);
+        return stored ? JSON.parse(stored) : null;
+    } catch (err) {
+        error('Could not read the generation journal:', err);
+        return null;
+    }
+}
+
+/**
+ * Clear the journal once the chat is back in a consistent state
+ */
+export async function clearJournal() {
+    try {
+        await withStore('readwrite', store => store.delete(JOURNAL_KEY));
+    } catch (err) {
+        error('Could not clear the generation journal in IndexedDB:', err);
+    }
+    localStorage.removeItem(FALLBACK_STORAGE_KEY);
+}
+
+/**
+ * Check for a generation that never finished and offer to restore its chat
+ * Called on startup and whenever the chat changes; the offer is made when the
+ * journal's chat is the open one.
+ */
+export async function offerJournalRecovery() {
+    if (recoveryPromptOpen) return;
+
+    const { isGenerationActive } = await import('./queue.js');
+    if (isGenerationActive()) return;
+
+    const entry = await readJournal();
+    if (!entry || !Array.isArray(entry.chat)) return;
+
+    const context = getContext();
+    const currentChatId = context.getCurrentChatId?.();
+    if (!currentChatId) return;
+
+    if (entry.chatId !== currentChatId) {
+        if (!otherChatNoticeShown) {
+            otherChatNoticeShown = true;
+            toastr.info(
+                `A Deep Swipe generation in a chat with ${entry.characterName || 'another character'} was interrupted. Open that chat to restore it.`,
+                'Deep Swipe',
+                { timeOut: 10000 },
+            );
+        }
+        return;
+    }
+
+    recoveryPromptOpen = true;
+    try {
+        const { callGenericPopup, POPUP_TYPE, POPUP_RESULT } = await import('../../../popup.js');
+        const chat = context.chat;
+        const hasTempMessage = chat.some(message => message?.extra?.isDeepSwipeTemp);
+        const startedAt = new Date(entry.startedAt).toLocaleString();
+
+        const result = await callGenericPopup(
+            `<h3>Interrupted Deep Swipe</h3>
+            <p>A Deep Swipe of message #${entry.messageId} started at ${startedAt} never finished, so this chat may have been saved in a truncated state.</p>
+            <p>Saved before the generation: ${entry.chat.length} messages. Now: ${chat.length} messages${hasTempMessage ? ', including a leftover temporary prompt message' : ''}.</p>
+            <p>Restore the chat to how it was before the generation?</p>`,
+            POPUP_TYPE.CONFIRM,
+            '',
+            { okButton: 'Restore', cancelButton: 'Keep current chat' },
+        );
+
+        // The user may have switched chats while the popup was open
+        if (getContext().getCurrentChatId?.() !== entry.chatId) return;
+
+        if (result === POPUP_RESULT.AFFIRMATIVE) {
+            const { saveChatVerified } = await import('./save.js');
+            const currentChat = getContext().chat;
+            currentChat.splice(0, currentChat.length, ...entry.chat);
+            if (await saveChatVerified('Journal recovery', { readBack: true })) {
+                await clearJournal();
+                await context.reloadCurrentChat();
+            } else {
+                // The journal is kept; reloading would bring back the server's broken copy
+                const { rerenderChat } = await import('./ui.js');
+                await rerenderChat(context);
+            }
+            log('Restored chat from the generation journal');
+            toastr.success('Chat restored to its state before the interrupted Deep Swipe.', 'Deep Swipe');
+        } else if (result === POPUP_RESULT.NEGATIVE) {
+            await clearJournal();
+        }
+        // Dismissed without choosing: the offer comes back next time
+    } catch (err) {
+        error('Journal recovery failed:', err);
+        toastr.error('Could not restore the chat from the Deep Swipe journal.', 'Deep Swipe');
+    } finally {
+        recoveryPromptOpen = false;
+    }
+}
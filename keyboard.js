@@ -0,0 +1,215 @@
+/**
+ * Deep Swipe Extension - Keyboard Navigation Module
+ *
+ * Keyboard mode for deep swipes: move a focus highlight between messages and
+ * swipe, generate or stop on the focused message without the mouse. The keys
+ * are configurable in the settings drawer.
+ *
+ * @author Rurijian
+ * @license MIT
+ */
+
+import { getContext } from '../../../extensions.js';
+import { stopGeneration } from '../../../../script.js';
+import { getSettings, DEFAULT_KEY_BINDINGS } from './config.js';
+import { isAnyMessageBeingEdited, isMessageSwipeable, error } from './utils.js';
+import { shouldAddUiComponents } from './ui.js';
+import { isGenerationActive } from './queue.js';
+import { dswipeBack, dswipeForward } from './deep-swipe.js';
+
+/**
+ * Class of the focused message element
+ * @constant {string}
+ */
+const FOCUS_CLASS = 'deep-swipe-keyboard-focus';
+
+/**
+ * ID of the message that has the keyboard focus, or null
+ * @type {number|null}
+ */
+let focusedMessageId = null;
+
+/**
+ * Turn a key event into a binding string such as "Shift+ArrowRight"
+ * @param {KeyboardEvent} event - The key event
+ * @returns {string|null} The binding, or null for a lone modifier key
+ */
+export function formatKeyCombo(event) {
+    if (['Control', 'Alt', 'Shift', 'Meta'].includes(event.key)) {
+        return null;
+    }
+    const parts = [];
+    if (event.ctrlKey) parts.push('Ctrl');
+    if (event.altKey) parts.push('Alt');
+    if (event.shiftKey) parts.push('Shift');
+    if (event.metaKey) parts.push('Meta');
+    if (event.key === ' ') {
+        parts.push('Space');
+    } else {
+        parts.push(event.key.length === 1 ? event.key.toUpperCase() : event.key);
+    }
+    return parts.join('+');
+}
+
+/**
+ * Get the key bindings, with defaults for any that were never set
+ * @returns {Object<string, string>} Binding per action
+ */
+export function getKeyBindings() {
+    return { ...DEFAULT_KEY_BINDINGS, ...(getSettings()?.keyBindings || {}) };
+}
+
+/**
+ * Remove the keyboard focus highlight
+ */
+export function clearKeyboardFocus() {
+    focusedMessageId = null;
+    document.querySelectorAll(`.${FOCUS_CLASS}`).forEach(el => el.classList.remove(FOCUS_CLASS));
+}
+
+/**
+ * Put the focus highlight on the focused message
+ * Called again after an action, as re-rendering can replace the message element.
+ * @param {boolean} [scroll=false] - Scroll the message into view
+ */
+function highlightFocusedMessage(scroll = false) {
+    document.querySelectorAll(`.${FOCUS_CLASS}`).forEach(el => el.classList.remove(FOCUS_CLASS));
+    if (focusedMessageId === null) return;
+
+    const messageElement = document.querySelector(`#chat .mes[mesid="${focusedMessageId}"]`);
+    if (!messageElement) return;
+
+    messageElement.classList.add(FOCUS_CLASS);
+    if (scroll) {
+        messageElement.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+    }
+}
+
+/**
+ * Move the focus to the previous or next rendered message
+ * With nothing focused yet, the last message gets the focus.
+ * @param {number} direction - -1 for previous, 1 for next
+ */
+function moveKeyboardFocus(direction) {
+    const messageIds = [...document.querySelectorAll('#chat .mes[mesid]')]
+        .map(el => Number(el.getAttribute('mesid')))
+        .filter(Number.isInteger)
+        .sort((a, b) => a - b);
+    if (messageIds.length === 0) return;
+
+    const index = messageIds.indexOf(focusedMessageId);
+    if (index === -1) {
+        focusedMessageId = messageIds[messageIds.length - 1];
+    } else {
+        focusedMessageId = messageIds[Math.min(Math.max(index + direction, 0), messageIds.length - 1)];
+    }
+    highlightFocusedMessage(true);
+}
+
+/**
+ * Check if the target of a key event is somewhere the user types
+ * @param {EventTarget} target - The event target
+ * @returns {boolean} True for text fields and editable content
+ */
+function isTypingTarget(target) {
+    return target instanceof HTMLElement &&
+        (Boolean(target.closest('textarea, input, select')) || target.isContentEditable);
+}
+
+/**
+ * Check if the focused message can be deep swiped
+ * The last message is left to SillyTavern's own arrow-key swipes.
+ * @returns {boolean} True if deep swipe keys apply to the focused message
+ */
+function canSwipeFocusedMessage() {
+    const chat = getContext().chat;
+    if (focusedMessageId === null || focusedMessageId >= chat.length - 1) {
+        return false;
+    }
+    const message = chat[focusedMessageId];
+    const messageElement = document.querySelector(`#chat .mes[mesid="${focusedMessageId}"]`);
+    return Boolean(message && messageElement && isMessageSwipeable(message) && shouldAddUiComponents(messageElement));
+}
+
+/**
+ * Stop the running generation the same way the overlay's stop button does
+ */
+function stopRunningGeneration() {
+    const stopButton = document.querySelector('.deep-swipe-clone-overlay:not(.queued) .deep-swipe-stop-button');
+    if (stopButton) {
+        stopButton.click();
+    } else {
+        stopGeneration();
+    }
+}
+
+/**
+ * Run a swipe action on the focused message, keeping the focus on it
+ * @param {Function} action - Called with the message ID
+ */
+async function runSwipeAction(action) {
+    if (isAnyMessageBeingEdited()) {
+        toastr.warning('Cannot swipe while a message is being edited. Please finish editing first.', 'Deep Swipe');
+        return;
+    }
+    const messageId = focusedMessageId;
+    try {
+        await action(messageId);
+    } catch (err) {
+        error('Keyboard swipe failed:', err);
+    }
+    highlightFocusedMessage();
+}
+
+/**
+ * Handle keyboard navigation keys
+ * Registered in the capture phase, so keys it handles don't reach SillyTavern's own arrow-key swipes.
+ * @param {KeyboardEvent} e - The keydown event
+ */
+export function onKeyboardNavigationKeyDown(e) {
+    const settings = getSettings();
+    if (!settings?.enabled || !settings?.keyboardNavigation) return;
+    if (isTypingTarget(e.target)) return;
+    // Popups take their own keys
+    if (document.querySelector('dialog[open]')) return;
+
+    const combo = formatKeyCombo(e);
+    if (!combo) return;
+
+    const bindings = getKeyBindings();
+    const action = Object.keys(bindings).find(name => bindings[name] && bindings[name] === combo);
+    if (!action) return;
+
+    const consume = () => {
+        e.preventDefault();
+        e.stopImmediatePropagation();
+    };
+
+    switch (action) {
+        case 'focusPrev':
+        case 'focusNext':
+            consume();
+            moveKeyboardFocus(action === 'focusPrev' ? -1 : 1);
+            break;
+        case 'stop':
+            if (isGenerationActive()) {
+                consume();
+                stopRunningGeneration();
+            } else if (focusedMessageId !== null) {
+                consume();
+                clearKeyboardFocus();
+            }
+            break;
+        case 'back':
+        case 'forward':
+        case 'generate':
+            if (!canSwipeFocusedMessage()) return;
+            consume();
+            // Holding a key down must not queue a generation per repeat
+            if (e.repeat) break;
+            runSwipeAction(messageId => action === 'back'
+                ? dswipeBack({}, messageId)
+                : dswipeForward({ generate: action === 'generate' }, messageId));
+            break;
+    }
+}
@@ -0,0 +1,200 @@
+/**
+ * Deep Swipe Extension - Setting Overrides Module
+ *
+ * Per-character and per-chat overrides of a few settings. Chat overrides live
+ * in the chat metadata, character overrides in the character card's extension
+ * data. A setting resolves from chat to character to the global value.
+ *
+ * @author Rurijian
+ * @license MIT
+ */
+
+import { getContext } from '../../../extensions.js';
+
+/**
+ * Settings that can be overridden per character and per chat
+ * @constant {string[]}
+ */
+export const OVERRIDABLE_SETTINGS = ['impersonationPrompt', 'assistantPrompt', 'userSwipes', 'assistantSwipes', 'autoAdvanceToLatest'];
+
+/**
+ * Levels a setting can come from, most specific first
+ * @readonly
+ * @enum {string}
+ */
+export const SETTING_LEVEL = {
+    CHAT: 'chat',
+    CHARACTER: 'character',
+    GLOBAL: 'global',
+};
+
+/**
+ * Key of the overrides in the chat metadata and in the character card's extensions
+ * @constant {string}
+ */
+const OVERRIDES_KEY = 'deep_swipe_overrides';
+
+/**
+ * Delay before character overrides are written to the card (ms)
+ * Prompts are edited keystroke by keystroke; the card is saved once typing pauses.
+ * @constant {number}
+ */
+const CHARACTER_SAVE_DELAY = 1000;
+
+/**
+ * Pending character card writes, by character ID
+ * Kept per character, so editing another character's overrides doesn't cancel a pending write.
+ * @type {Map<number, number>}
+ */
+const characterSaveTimers = new Map();
+
+/**
+ * Get the character whose card holds the character overrides
+ * Group chats have no single character, so they only have chat overrides.
+ * @returns {{id: number, character: Object}|null} The character, or null if there is none
+ */
+function getOverrideCharacter() {
+    const context = getContext();
+    if (context.groupId || context.characterId === undefined || context.characterId === null) {
+        return null;
+    }
+    const character = context.characters?.[context.characterId];
+    return character ? { id: context.characterId, character } : null;
+}
+
+/**
+ * Check if a level can hold overrides in the open chat
+ * @param {string} level - A SETTING_LEVEL value
+ * @returns {boolean} True if settings can be stored at that level right now
+ */
+export function isSettingLevelAvailable(level) {
+    if (level === SETTING_LEVEL.CHARACTER) {
+        return getOverrideCharacter() !== null;
+    }
+    if (level === SETTING_LEVEL.CHAT) {
+        return Boolean(getContext().chatMetadata);
+    }
+    return level === SETTING_LEVEL.GLOBAL;
+}
+
+/**
+ * Get the overrides stored at a level
+ * @param {string} level - SETTING_LEVEL.CHAT or SETTING_LEVEL.CHARACTER
+ * @returns {Object} The overrides (empty if none)
+ */
+export function getOverrides(level) {
+    if (level === SETTING_LEVEL.CHAT) {
+        return getContext().chatMetadata?.[OVERRIDES_KEY] ?? {};
+    }
+    if (level === SETTING_LEVEL.CHARACTER) {
+        return getOverrideCharacter()?.character.data?.extensions?.[OVERRIDES_KEY] ?? {};
+    }
+    return {};
+}
+
+/**
+ * Apply the character and chat overrides to the global settings
+ * @param {Object} settings - The global settings
+ * @returns {Object} The settings in effect for the open chat (the same object if nothing is overridden)
+ */
+export function applySettingOverrides(settings) {
+    const characterOverrides = getOverrides(SETTING_LEVEL.CHARACTER);
+    const chatOverrides = getOverrides(SETTING_LEVEL.CHAT);
+    if (Object.keys(characterOverrides).length === 0 && Object.keys(chatOverrides).length === 0) {
+        return settings;
+    }
+
+    const resolved = { ...settings };
+    for (const key of OVERRIDABLE_SETTINGS) {
+        if (key in chatOverrides) {
+            resolved[key] = chatOverrides[key];
+        } else if (key in characterOverrides) {
+            resolved[key] = characterOverrides[key];
+        }
+    }
+    return resolved;
+}
+
+/**
+ * Find the level a setting's value comes from in the open chat
+ * @param {string} key - The setting key
+ * @returns {string} A SETTING_LEVEL value
+ */
+export function getSettingLevel(key) {
+    if (key in getOverrides(SETTING_LEVEL.CHAT)) {
+        return SETTING_LEVEL.CHAT;
+    }
+    if (key in getOverrides(SETTING_LEVEL.CHARACTER)) {
+        return SETTING_LEVEL.CHARACTER;
+    }
+    return SETTING_LEVEL.GLOBAL;
+}
+
+/**
+ * Store the overrides of a level
+ * @param {string} level - SETTING_LEVEL.CHAT or SETTING_LEVEL.CHARACTER
+ * @param {Object} overrides - The complete overrides of that level
+ */
+function writeOverrides(level, overrides) {
+    const context = getContext();
+    const value = Object.keys(overrides).length > 0 ? overrides : undefined;
+
+    if (level === SETTING_LEVEL.CHAT) {
+        if (value) {
+            context.chatMetadata[OVERRIDES_KEY] = value;
+        } else {
+            delete context.chatMetadata[OVERRIDES_KEY];
+        }
+        if (typeof context.saveMetadataDebounced === 'function') {
+            context.saveMetadataDebounced();
+        } else {
+            context.saveMetadata?.();
+        }
+        return;
+    }
+
+    const found = getOverrideCharacter();
+    if (!found) return;
+    // Visible right away; the card itself is written once edits pause
+    found.character.data = found.character.data || {};
+    found.character.data.extensions = found.character.data.extensions || {};
+    found.character.data.extensions[OVERRIDES_KEY] = value ?? {};
+
+    clearTimeout(characterSaveTimers.get(found.id));
+    characterSaveTimers.set(found.id, setTimeout(async () => {
+        characterSaveTimers.delete(found.id);
+        try {
+            await context.writeExtensionField(found.id, OVERRIDES_KEY, value ?? {});
+        } catch (err) {
+            console.error('[Deep Swipe] Failed to save character overrides:', err);
+            toastr.error('Could not save the Deep Swipe settings to the character card.', 'Deep Swipe');
+        }
+    }, CHARACTER_SAVE_DELAY));
+}
+
+/**
+ * Override a setting at a level
+ * @param {string} level - SETTING_LEVEL.CHAT or SETTING_LEVEL.CHARACTER
+ * @param {string} key - The setting key (one of OVERRIDABLE_SETTINGS)
+ * @param {*} value - The value for that level
+ */
+export function setSettingOverride(level, key, value) {
+    if (!OVERRIDABLE_SETTINGS.includes(key) || !isSettingLevelAvailable(level) || level === SETTING_LEVEL.GLOBAL) {
+        return;
+    }
+    writeOverrides(level, { ...getOverrides(level), [key]: value });
+}
+
+/**
+ * Remove a setting's override at a level, so it falls back to the next level
+ * @param {string} level - SETTING_LEVEL.CHAT or SETTING_LEVEL.CHARACTER
+ * @param {string} key - The setting key
+ */
+export function clearSettingOverride(level, key) {
+    if (!isSettingLevelAvailable(level) || !(key in getOverrides(level))) {
+        return;
+    }
+    const overrides = { ...getOverrides(level) };
+    delete overrides[key];
+    writeOverrides(level, overrides);
+}
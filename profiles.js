@@ -0,0 +1,81 @@
+/**
+ * Deep Swipe Extension - Connection Profiles Module
+ *
+ * Temporarily switches to another Connection Manager profile for a single
+ * deep swipe generation and switches back afterwards.
+ *
+ * @author Rurijian
+ * @license MIT
+ */
+
+import { getContext, extension_settings } from '../../../extensions.js';
+import { getActiveProfileName } from './provenance.js';
+import { log, error } from './utils.js';
+
+/**
+ * Connection Manager's name for "no profile selected"
+ * @constant {string}
+ */
+const NO_PROFILE = '<None>';
+
+/**
+ * Get the names of all saved connection profiles
+ * @returns {string[]} Profile names, sorted alphabetically
+ */
+export function getConnectionProfileNames() {
+    const profiles = extension_settings.connectionManager?.profiles;
+    if (!Array.isArray(profiles)) {
+        return [];
+    }
+    return profiles.map(profile => profile.name).filter(Boolean).sort((a, b) => a.localeCompare(b));
+}
+
+/**
+ * Switch the active connection profile through Connection Manager's /profile command
+ * @param {string} profileName - The profile to select, or NO_PROFILE to deselect
+ */
+async function switchConnectionProfile(profileName) {
+    const escapedName = profileName.replace(/"/g, '\\"');
+    const result = await getContext().executeSlashCommandsWithOptions(`/profile await=true "${escapedName}"`, {
+        handleParserErrors: false,
+        handleExecutionErrors: false,
+    });
+    if (result?.isError) {
+        throw new Error(result.errorMessage || `Could not switch to connection profile "${profileName}"`);
+    }
+}
+
+/**
+ * Run a function with another connection profile active
+ * The previous profile is restored afterwards, even if the function throws or the
+ * generation is stopped.
+ *
+ * @param {string|undefined} profileName - Profile to use; falsy or the active profile runs fn unchanged
+ * @param {Function} fn - Async function to run
+ * @returns {Promise<*>} The function's result
+ */
+export async function withConnectionProfile(profileName, fn) {
+    const previousProfile = getActiveProfileName();
+    if (!profileName || profileName === previousProfile) {
+        return await fn();
+    }
+
+    if (!getConnectionProfileNames().includes(profileName)) {
+        throw new Error(`Connection profile "${profileName}" not found`);
+    }
+
+    log(`Switching to connection profile "${profileName}" for this generation`);
+    await switchConnectionProfile(profileName);
+
+    try {
+        return await fn();
+    } finally {
+        try {
+            await switchConnectionProfile(previousProfile ?? NO_PROFILE);
+            log(`Restored connection profile "${previousProfile ?? NO_PROFILE}"`);
+        } catch (err) {
+            error('Failed to restore connection profile:', err);
+            toastr.error(`Could not switch back to connection profile "${previousProfile ?? NO_PROFILE}". Please select it manually.`, 'Deep Swipe');
+        }
+    }
+}
@@ -0,0 +1,189 @@
+/**
+ * Deep Swipe Extension - Provenance Module
+ *
+ * Records how each deep swipe was produced: prompt, preset, connection profile,
+ * sampler values, token counts and the truncation point.
+ *
+ * @author Rurijian
+ * @license MIT
+ */
+
+import { getContext, extension_settings } from '../../../extensions.js';
+import { eventSource, event_types } from '../../../../script.js';
+import { escapeHtml, error } from './utils.js';
+
+/**
+ * Sampler fields recorded per API, mapped from the record key to the settings key
+ * @constant {Object<string, Object<string, string>>}
+ */
+const SAMPLER_FIELDS = {
+    openai: {
+        temperature: 'temp_openai',
+        top_p: 'top_p_openai',
+        top_k: 'top_k_openai',
+        min_p: 'min_p_openai',
+        frequency_penalty: 'freq_pen_openai',
+        presence_penalty: 'pres_pen_openai',
+        repetition_penalty: 'repetition_penalty_openai',
+        max_tokens: 'openai_max_tokens',
+    },
+    textgenerationwebui: {
+        temperature: 'temp',
+        top_p: 'top_p',
+        top_k: 'top_k',
+        min_p: 'min_p',
+        typical_p: 'typical_p',
+        repetition_penalty: 'rep_pen',
+        frequency_penalty: 'freq_pen',
+        presence_penalty: 'presence_pen',
+    },
+};
+
+/**
+ * Capture the final prompt sent to the model during a single Generate() call
+ * Listens for the prompt-ready events of both chat and text completion.
+ * Call stop() once Generate() has returned.
+ *
+ * @returns {{getText: function(): string, stop: function(): void}} Capture handle
+ */
+export function capturePromptText() {
+    let promptText = '';
+
+    const onChatPromptReady = (eventData) => {
+        if (eventData?.dryRun || !Array.isArray(eventData?.chat)) return;
+        promptText = eventData.chat
+            .map(entry => typeof entry.content === 'string' ? entry.content : JSON.stringify(entry.content))
+            .join('\n');
+    };
+    const onTextPromptReady = (eventData) => {
+        if (eventData?.dryRun || typeof eventData?.prompt !== 'string') return;
+        promptText = eventData.prompt;
+    };
+
+    eventSource.on(event_types.CHAT_COMPLETION_PROMPT_READY, onChatPromptReady);
+    eventSource.on(event_types.GENERATE_AFTER_COMBINE_PROMPTS, onTextPromptReady);
+
+    return {
+        getText: () => promptText,
+        stop: () => {
+            eventSource.removeListener(event_types.CHAT_COMPLETION_PROMPT_READY, onChatPromptReady);
+            eventSource.removeListener(event_types.GENERATE_AFTER_COMBINE_PROMPTS, onTextPromptReady);
+        },
+    };
+}
+
+/**
+ * Get the name of the active connection profile (Connection Manager), if any
+ * @returns {string|null} The profile name
+ */
+export function getActiveProfileName() {
+    const manager = extension_settings.connectionManager;
+    if (!manager?.selectedProfile || !Array.isArray(manager.profiles)) {
+        return null;
+    }
+    return manager.profiles.find(profile => profile.id === manager.selectedProfile)?.name ?? null;
+}
+
+/**
+ * Snapshot the generation settings that are active right now
+ * @returns {{preset: string|null, connection_profile: string|null, samplers: Object}} Settings snapshot
+ */
+export function getGenerationSettingsSnapshot() {
+    const context = getContext();
+
+    let preset = null;
+    try {
+        preset = context.getPresetManager?.()?.getSelectedPresetName?.() ?? null;
+    } catch (err) {
+        error('Could not read the selected preset:', err);
+    }
+
+    const samplers = {};
+    const fields = SAMPLER_FIELDS[context.mainApi];
+    const source = context.mainApi === 'openai' ? context.chatCompletionSettings : context.textCompletionSettings;
+    if (fields && source) {
+        for (const [key, settingKey] of Object.entries(fields)) {
+            if (source[settingKey] !== undefined && source[settingKey] !== null && source[settingKey] !== '') {
+                samplers[key] = source[settingKey];
+            }
+        }
+    }
+
+    return {
+        preset,
+        connection_profile: getActiveProfileName(),
+        samplers,
+    };
+}
+
+/**
+ * Count tokens with SillyTavern's current tokenizer
+ * @param {string} text - The text to count
+ * @returns {Promise<number|null>} Token count, or null if unavailable
+ */
+export async function countTokens(text) {
+    if (!text) return null;
+    try {
+        return await getContext().getTokenCountAsync(text);
+    } catch (err) {
+        error('Could not count tokens:', err);
+        return null;
+    }
+}
+
+/**
+ * Format a provenance record as HTML for the swipe info popup
+ * @param {Object} swipeInfo - The swipe_info entry
+ * @param {number} swipeIndex - The swipe index (0-based)
+ * @param {number} swipeCount - Total number of swipes
+ * @returns {string} HTML content
+ */
+export function formatProvenanceHtml(swipeInfo, swipeIndex, swipeCount) {
+    const extra = swipeInfo?.extra || {};
+    const record = extra.deep_swipe || {};
+
+    const rows = [];
+    const addRow = (label, value) => {
+        if (value === undefined || value === null || value === '') return;
+        rows.push(`<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`);
+    };
+
+    addRow('API', extra.api);
+    addRow('Model', extra.model);
+    addRow('Preset', record.preset);
+    addRow('Connection profile', record.connection_profile);
+    addRow('Generated', swipeInfo?.gen_finished ? new Date(swipeInfo.gen_finished).toLocaleString() : swipeInfo?.send_date);
+    addRow('Type', {
+        continue: 'Deep continue (original text + continuation)',
+        impersonate: 'Native impersonate',
+    }[record.mode]);
+    addRow('Prompt template', record.template_name);
+    addRow('Guidance', record.guidance);
+    if (record.infill) {
+        addRow('Infill', `${record.infill.messages} later message${record.infill.messages === 1 ? '' : 's'} (${record.infill.style})`);
+    }
+    if (record.context) {
+        addRow('Context', `${record.context.messages} messages (#0 to #${record.context.messages - 1})`);
+    }
+    if (record.tokens) {
+        addRow('Prompt tokens', record.tokens.prompt);
+        addRow('Completion tokens', record.tokens.completion);
+    }
+    if (record.samplers) {
+        addRow('Samplers', Object.entries(record.samplers).map(([key, value]) => `${key}=${value}`).join(', '));
+    }
+
+    let html = `<h3>Swipe ${swipeIndex + 1}/${swipeCount}</h3>`;
+    if (rows.length === 0) {
+        return html + '<p>No generation details were recorded for this swipe.</p>';
+    }
+    html += `<table class="deep-swipe-info-table">${rows.join('')}</table>`;
+
+    if (record.prompt_template) {
+        html += `<h4>Prompt template</h4><pre class="deep-swipe-info-prompt">${escapeHtml(record.prompt_template)}</pre>`;
+    }
+    if (record.prompt) {
+        html += `<h4>Temp message sent</h4><pre class="deep-swipe-info-prompt">${escapeHtml(record.prompt)}</pre>`;
+    }
+    return html;
+}
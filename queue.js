@@ -0,0 +1,358 @@
+/**
+ * Deep Swipe Extension - Generation Queue Module
+ *
+ * Runs deep swipe generations one at a time. Requests made while a generation
+ * is running wait their turn, and can be reordered or cancelled from the queue panel.
+ *
+ * @author Rurijian
+ * @license MIT
+ */
+
+import { getContext } from '../../../extensions.js';
+import { stopGeneration } from '../../../../script.js';
+import { log, error } from './utils.js';
+
+/**
+ * Queue job states
+ * @readonly
+ * @enum {string}
+ */
+export const JOB_STATUS = {
+    PENDING: 'pending',
+    RUNNING: 'running',
+    DONE: 'done',
+    STOPPED: 'stopped',
+    FAILED: 'failed',
+    CANCELLED: 'cancelled',
+};
+
+/**
+ * Display labels for each job state
+ * @constant {Object<string, string>}
+ */
+const STATUS_LABELS = {
+    [JOB_STATUS.PENDING]: 'Queued',
+    [JOB_STATUS.RUNNING]: 'Generating',
+    [JOB_STATUS.DONE]: 'Done',
+    [JOB_STATUS.STOPPED]: 'Stopped',
+    [JOB_STATUS.FAILED]: 'Failed',
+    [JOB_STATUS.CANCELLED]: 'Cancelled',
+};
+
+/**
+ * All jobs in submission order, including finished ones until cleared
+ * @type {Array<Object>}
+ */
+const jobs = [];
+
+let nextJobId = 1;
+let processing = false;
+
+/**
+ * Check if a deep swipe generation is currently running
+ * While true, the chat array is truncated and must not be navigated or edited
+ * @returns {boolean} True if a job is running
+ */
+export function isGenerationActive() {
+    return jobs.some(job => job.status === JOB_STATUS.RUNNING);
+}
+
+/**
+ * Get the pending or running job for a message, if any
+ * @param {number} messageId - The message ID
+ * @returns {Object|undefined} The active job for the message
+ */
+export function getActiveJobForMessage(messageId) {
+    return jobs.find(job => job.messageId === messageId &&
+        (job.status === JOB_STATUS.PENDING || job.status === JOB_STATUS.RUNNING));
+}
+
+/**
+ * Add a generation to the queue
+ * The job runs as soon as every job ahead of it has finished.
+ *
+ * @param {number} messageId - The message the job generates swipes for
+ * @param {string} label - Short description shown in the queue panel
+ * @param {Function} run - Async function performing the generation; resolves to true on success
+ * @returns {Promise<boolean>} Resolves when the job finishes; true if it completed successfully
+ */
+export function enqueueGeneration(messageId, label, run) {
+    if (getActiveJobForMessage(messageId)) {
+        toastr.info(`Message #${messageId} already has a Deep Swipe queued.`, 'Deep Swipe');
+        return Promise.resolve(false);
+    }
+
+    return new Promise((resolve) => {
+        const job = {
+            id: nextJobId++,
+            messageId,
+            label,
+            run,
+            resolve,
+            status: JOB_STATUS.PENDING,
+            cancelRequested: false,
+            error: null,
+        };
+        jobs.push(job);
+        refreshJobCounter(job);
+
+        // Something is already running - show this job as waiting
+        if (processing) {
+            showQueuedOverlay(job);
+            showQueuePanel();
+            toastr.info(`Deep Swipe for message #${messageId} queued.`, 'Deep Swipe');
+        }
+
+        renderQueuePanel();
+        processQueue();
+    });
+}
+
+/**
+ * Run pending jobs one at a time until none are left
+ */
+async function processQueue() {
+    if (processing) return;
+    processing = true;
+
+    try {
+        let job;
+        while ((job = jobs.find(j => j.status === JOB_STATUS.PENDING))) {
+            job.status = JOB_STATUS.RUNNING;
+            renderQueuePanel();
+
+            let succeeded = false;
+            try {
+                succeeded = await job.run();
+                if (job.cancelRequested) {
+                    job.status = JOB_STATUS.CANCELLED;
+                } else {
+                    job.status = succeeded ? JOB_STATUS.DONE : JOB_STATUS.STOPPED;
+                }
+            } catch (err) {
+                error(`Queued generation for message ${job.messageId} failed:`, err);
+                job.status = JOB_STATUS.FAILED;
+                job.error = err?.message || String(err);
+            }
+
+            job.resolve(job.status === JOB_STATUS.DONE);
+            renderQueuePanel();
+            await refreshJobCounter(job);
+
+            // The finished job may have re-rendered the chat - re-anchor the waiting overlays
+            await refreshQueuedOverlays();
+        }
+    } finally {
+        processing = false;
+    }
+}
+
+/**
+ * Cancel a job
+ * Pending jobs are dropped; a running job has its generation stopped (which reverts it).
+ * @param {number} jobId - The job ID
+ */
+export async function cancelJob(jobId) {
+    const job = jobs.find(j => j.id === jobId);
+    if (!job) return;
+
+    if (job.status === JOB_STATUS.PENDING) {
+        job.status = JOB_STATUS.CANCELLED;
+        job.resolve(false);
+        const { removeSwipeOverlay } = await import('./ui.js');
+        removeSwipeOverlay(job.messageId);
+        renderQueuePanel();
+        refreshJobCounter(job);
+    } else if (job.status === JOB_STATUS.RUNNING) {
+        job.cancelRequested = true;
+        // Triggers GENERATION_STOPPED, which runs the generation's own abort cleanup
+        stopGeneration();
+    }
+}
+
+/**
+ * Move a pending job up or down among the other pending jobs
+ * @param {number} jobId - The job ID
+ * @param {number} direction - -1 to run earlier, 1 to run later
+ */
+export function moveJob(jobId, direction) {
+    const pending = jobs.filter(j => j.status === JOB_STATUS.PENDING);
+    const position = pending.findIndex(j => j.id === jobId);
+    const swapWith = pending[position + direction];
+    if (position === -1 || !swapWith) return;
+
+    const indexA = jobs.indexOf(pending[position]);
+    const indexB = jobs.indexOf(swapWith);
+    [jobs[indexA], jobs[indexB]] = [jobs[indexB], jobs[indexA]];
+    renderQueuePanel();
+}
+
+/**
+ * Remove finished, stopped, failed and cancelled jobs from the list
+ */
+export function clearFinishedJobs() {
+    for (let i = jobs.length - 1; i >= 0; i--) {
+        if (jobs[i].status !== JOB_STATUS.PENDING && jobs[i].status !== JOB_STATUS.RUNNING) {
+            jobs.splice(i, 1);
+        }
+    }
+    renderQueuePanel();
+}
+
+/**
+ * Cancel every pending job and forget finished ones
+ * Used when the chat changes, since queued message IDs no longer apply.
+ * A running job is left to finish (or be stopped) through its own cleanup.
+ */
+export function clearQueue() {
+    const pending = jobs.filter(j => j.status === JOB_STATUS.PENDING);
+    pending.forEach(job => {
+        job.status = JOB_STATUS.CANCELLED;
+        job.resolve(false);
+    });
+    if (pending.length > 0) {
+        log(`Cancelled ${pending.length} queued generation(s)`);
+    }
+    clearFinishedJobs();
+}
+
+/**
+ * Refresh the swipe counter of a job's message, which shows a spinner while the job is queued or running
+ * @param {Object} job - The job
+ */
+async function refreshJobCounter(job) {
+    const { updateMessageSwipeUI } = await import('./ui.js');
+    updateMessageSwipeUI(job.messageId);
+}
+
+/**
+ * Show the "queued" overlay on a waiting job's message
+ * @param {Object} job - The pending job
+ */
+async function showQueuedOverlay(job) {
+    const { createSwipeOverlay } = await import('./ui.js');
+    const message = getContext().chat[job.messageId];
+    if (!message) return;
+
+    createSwipeOverlay(job.messageId, message, {
+        showThrobber: false,
+        queued: true,
+        onStop: () => cancelJob(job.id),
+    });
+}
+
+/**
+ * Recreate the "queued" overlays for all pending jobs
+ */
+async function refreshQueuedOverlays() {
+    for (const job of jobs.filter(j => j.status === JOB_STATUS.PENDING)) {
+        await showQueuedOverlay(job);
+    }
+}
+
+/**
+ * Open the queue panel
+ */
+export function showQueuePanel() {
+    let panel = document.getElementById('deep-swipe-queue-panel');
+    if (!panel) {
+        panel = document.createElement('div');
+        panel.id = 'deep-swipe-queue-panel';
+        panel.className = 'deep-swipe-queue-panel';
+
+        const header = document.createElement('div');
+        header.className = 'deep-swipe-queue-header';
+        header.innerHTML = `
+            <b>Deep Swipe Queue</b>
+            <div class="deep-swipe-queue-header-buttons">
+                <div class="deep-swipe-queue-clear menu_button fa-solid fa-broom" title="Clear finished jobs"></div>
+                <div class="deep-swipe-queue-close menu_button fa-solid fa-xmark" title="Close"></div>
+            </div>
+        `;
+        header.querySelector('.deep-swipe-queue-clear').addEventListener('click', clearFinishedJobs);
+        header.querySelector('.deep-swipe-queue-close').addEventListener('click', hideQueuePanel);
+
+        const list = document.createElement('div');
+        list.className = 'deep-swipe-queue-list';
+
+        panel.appendChild(header);
+        panel.appendChild(list);
+        document.body.appendChild(panel);
+    }
+    renderQueuePanel();
+}
+
+/**
+ * Close the queue panel
+ */
+export function hideQueuePanel() {
+    document.getElementById('deep-swipe-queue-panel')?.remove();
+}
+
+/**
+ * Re-render the job list of the queue panel (if it is open)
+ */
+function renderQueuePanel() {
+    const list = document.querySelector('#deep-swipe-queue-panel .deep-swipe-queue-list');
+    if (!list) return;
+
+    list.innerHTML = '';
+
+    if (jobs.length === 0) {
+        const empty = document.createElement('div');
+        empty.className = 'deep-swipe-queue-empty';
+        empty.textContent = 'No Deep Swipe generations queued.';
+        list.appendChild(empty);
+        return;
+    }
+
+    for (const job of jobs) {
+        const row = document.createElement('div');
+        row.className = `deep-swipe-queue-job ${job.status}`;
+
+        const label = document.createElement('span');
+        label.className = 'deep-swipe-queue-label';
+        label.textContent = `#${job.messageId} · ${job.label}`;
+        if (job.error) {
+            label.title = job.error;
+        }
+
+        const status = document.createElement('span');
+        status.className = 'deep-swipe-queue-status';
+        status.textContent = STATUS_LABELS[job.status];
+
+        const buttons = document.createElement('div');
+        buttons.className = 'deep-swipe-queue-buttons';
+
+        if (job.status === JOB_STATUS.PENDING) {
+            buttons.appendChild(createJobButton('fa-arrow-up', 'Run earlier', () => moveJob(job.id, -1)));
+            buttons.appendChild(createJobButton('fa-arrow-down', 'Run later', () => moveJob(job.id, 1)));
+            buttons.appendChild(createJobButton('fa-xmark', 'Cancel', () => cancelJob(job.id)));
+        } else if (job.status === JOB_STATUS.RUNNING) {
+            buttons.appendChild(createJobButton('fa-stop', 'Stop generation and revert', () => cancelJob(job.id)));
+        }
+
+        row.appendChild(label);
+        row.appendChild(status);
+        row.appendChild(buttons);
+        list.appendChild(row);
+    }
+}
+
+/**
+ * Create a small icon button for a queue row
+ * @param {string} icon - Font Awesome icon class
+ * @param {string} title - Tooltip text
+ * @param {Function} onClick - Click handler
+ * @returns {HTMLElement} The button element
+ */
+function createJobButton(icon, title, onClick) {
+    const button = document.createElement('div');
+    button.className = `deep-swipe-queue-button fa-solid ${icon}`;
+    button.title = title;
+    button.addEventListener('click', (e) => {
+        e.stopPropagation();
+        onClick();
+    });
+    return button;
+}
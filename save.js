@@ -0,0 +1,189 @@
+/**
+ * Deep Swipe Extension - Save Module
+ *
+ * One transactional save routine for every path that writes the chat after a
+ * deep swipe operation: save, let late writers settle, verify the chat still
+ * matches what was meant to be saved, and retry with backoff if it doesn't.
+ *
+ * @author Rurijian
+ * @license MIT
+ */
+
+import { getContext } from '../../../extensions.js';
+import { cancelDebouncedChatSave, saveChatConditional, getRequestHeaders } from '../../../../script.js';
+import { log, error } from './utils.js';
+
+/**
+ * Number of save attempts before giving up
+ * @constant {number}
+ */
+const MAX_SAVE_ATTEMPTS = 3;
+
+/**
+ * How long to wait after a save before verifying, so queued auto-saves can run (ms)
+ * @constant {number}
+ */
+const SETTLE_DELAY = 100;
+
+/**
+ * Wait before the first retry; doubled for every further retry (ms)
+ * @constant {number}
+ */
+const RETRY_BACKOFF = 250;
+
+/**
+ * Wait for a number of milliseconds
+ * @param {number} ms - Milliseconds
+ * @returns {Promise<void>}
+ */
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Find the first message that differs from the expected state
+ * Whole messages are compared - text, swipes, swipe_id, swipe_info and extra.
+ * @param {Array<Object>} chat - The live chat, or the chat as stored on the server
+ * @param {Array<string>} expected - JSON of each expected message
+ * @returns {number} Index of the first differing message, or -1 if the chat matches
+ */
+function findMismatch(chat, expected) {
+    const length = Math.max(chat.length, expected.length);
+    for (let i = 0; i < length; i++) {
+        if (i >= chat.length || i >= expected.length || JSON.stringify(chat[i]) !== expected[i]) {
+            return i;
+        }
+    }
+    return -1;
+}
+
+/**
+ * Put the chat back into the expected state without replacing its message objects
+ * Callers keep references to messages across a save, so every message is restored in place.
+ * @param {Array<Object>} chat - The live chat
+ * @param {Array<string>} expected - JSON of each expected message
+ */
+function restoreInPlace(chat, expected) {
+    expected.forEach((json, i) => {
+        const wanted = JSON.parse(json);
+        const message = chat[i];
+        if (!message || typeof message !== 'object') {
+            chat[i] = wanted;
+            return;
+        }
+        Object.keys(message).forEach(key => {
+            if (!(key in wanted)) {
+                delete message[key];
+            }
+        });
+        Object.assign(message, wanted);
+    });
+    chat.length = expected.length;
+}
+
+/**
+ * Read the open chat back from the server, as it was stored
+ * @returns {Promise<Array<Object>|null>} The stored messages, or null if they couldn't be read
+ */
+async function readSavedChat() {
+    const context = getContext();
+    const chatId = context.getCurrentChatId?.();
+    if (!chatId) return null;
+
+    try {
+        let response;
+        if (context.groupId) {
+            response = await fetch('/api/chats/group/get', {
+                method: 'POST',
+                headers: getRequestHeaders(),
+                body: JSON.stringify({ id: chatId }),
+            });
+        } else {
+            const character = context.characters?.[context.characterId];
+            if (!character) return null;
+            response = await fetch('/api/chats/get', {
+                method: 'POST',
+                headers: getRequestHeaders(),
+                body: JSON.stringify({ ch_name: character.name, file_name: chatId, avatar_url: character.avatar }),
+            });
+        }
+        if (!response.ok) return null;
+
+        const stored = await response.json();
+        if (!Array.isArray(stored)) return null;
+        // Character chats start with a header line holding the chat metadata
+        return !context.groupId && stored.length > 0 && stored[0]?.chat_metadata !== undefined
+            ? stored.slice(1)
+            : stored;
+    } catch (err) {
+        error('Could not read the saved chat back:', err);
+        return null;
+    }
+}
+
+/**
+ * Save the chat and verify it was saved as it is now
+ * After saving, the chat is compared with the state that was meant to be saved; recovery
+ * saves also read the chat back from the server and compare that. If the chat changed
+ * underneath the save (a late auto-save or another writer), it is put back in place and
+ * the save is retried with backoff. A single error is shown if the state can't be verified
+ * after every attempt; callers must not go on as if the chat was saved (e.g. reload it)
+ * when this returns false.
+ *
+ * @param {string} label - What is being saved, for the log
+ * @param {Object} [options] - Save options
+ * @param {boolean} [options.readBack=false] - Also verify the copy stored on the server. It downloads
+ *   the whole chat, so it is kept for the saves after a stopped or failed generation.
+ * @returns {Promise<boolean>} True if the saved state was verified
+ */
+export async function saveChatVerified(label, { readBack = false } = {}) {
+    const chat = getContext().chat;
+    const expected = chat.map(message => JSON.stringify(message));
+
+    for (let attempt = 1; attempt <= MAX_SAVE_ATTEMPTS; attempt++) {
+        cancelDebouncedChatSave();
+        try {
+            await saveChatConditional();
+
+            await delay(SETTLE_DELAY);
+            cancelDebouncedChatSave();
+
+            const mismatch = findMismatch(chat, expected);
+            if (mismatch !== -1) {
+                error(`${label}: message ${mismatch} changed during save (attempt ${attempt}/${MAX_SAVE_ATTEMPTS}), restoring it`);
+                restoreInPlace(chat, expected);
+            } else if (!readBack) {
+                if (attempt > 1) {
+                    log(`${label}: chat saved and verified on attempt ${attempt}`);
+                }
+                return true;
+            } else {
+                const stored = await readSavedChat();
+                const storedMismatch = stored ? findMismatch(stored, expected) : null;
+                if (storedMismatch === -1) {
+                    if (attempt > 1) {
+                        log(`${label}: chat saved and verified on attempt ${attempt}`);
+                    }
+                    return true;
+                }
+                error(stored
+                    ? `${label}: saved message ${storedMismatch} doesn't match the chat (attempt ${attempt}/${MAX_SAVE_ATTEMPTS})`
+                    : `${label}: the saved chat could not be read back (attempt ${attempt}/${MAX_SAVE_ATTEMPTS})`);
+            }
+        } catch (err) {
+            error(`${label}: save failed (attempt ${attempt}/${MAX_SAVE_ATTEMPTS}):`, err);
+        }
+
+        if (attempt < MAX_SAVE_ATTEMPTS) {
+            await delay(RETRY_BACKOFF * 2 ** (attempt - 1));
+        }
+    }
+
+    toastr.error(
+        'Deep Swipe could not verify that the chat was saved correctly. The chat in this tab is intact - ' +
+        'save it manually or run /dswipe-doctor before reloading.',
+        'Deep Swipe',
+        { timeOut: 0, extendedTimeOut: 0, closeButton: true },
+    );
+    return false;
+}
@@ -0,0 +1,134 @@
+/**
+ * Deep Swipe Extension - Prompt Templates Module
+ *
+ * The library of named deep swipe prompts, and macro expansion for every
+ * deep swipe prompt: SillyTavern's own macros plus {{input}}, {{char}},
+ * {{prev}}, {{next}}, {{swipe_count}}, {{guidance}} and {{infill}}.
+ *
+ * @author Rurijian
+ * @license MIT
+ */
+
+import { getSettings, DEFAULT_PROMPT_TEMPLATES, INFILL_STYLE } from './config.js';
+import { applyGuidance } from './utils.js';
+
+/**
+ * Macros filled in by Deep Swipe; they are kept away from SillyTavern's expansion,
+ * which has its own {{input}} (the send box) and would expand macros inside message text
+ * @constant {string[]}
+ */
+const DEEP_SWIPE_MACROS = ['input', 'char', 'prev', 'next', 'swipe_count', 'infill', 'guidance'];
+
+/**
+ * Length a later message is cut to in the brief infill style (characters)
+ * @constant {number}
+ */
+const BRIEF_INFILL_LENGTH = 300;
+
+/**
+ * Get the prompt template library
+ * @returns {Array<{name: string, prompt: string}>} The templates, in library order
+ */
+export function getPromptTemplates() {
+    const templates = getSettings()?.promptTemplates;
+    return Array.isArray(templates) ? templates : DEFAULT_PROMPT_TEMPLATES;
+}
+
+/**
+ * Find a template in the library by name (case-insensitive)
+ * @param {string} name - The template name
+ * @returns {{name: string, prompt: string}|null} The template, or null if there is none by that name
+ */
+export function findPromptTemplate(name) {
+    const wanted = String(name ?? '').trim().toLowerCase();
+    if (!wanted) return null;
+    return getPromptTemplates().find(template => String(template.name ?? '').trim().toLowerCase() === wanted) ?? null;
+}
+
+/**
+ * Cut a message to its first sentences for the brief infill style
+ * @param {string} text - The message text
+ * @returns {string} At most BRIEF_INFILL_LENGTH characters, ending at a sentence where possible
+ */
+function shortenForInfill(text) {
+    const flat = text.replace(/\s+/g, ' ').trim();
+    if (flat.length <= BRIEF_INFILL_LENGTH) return flat;
+
+    const cut = flat.slice(0, BRIEF_INFILL_LENGTH);
+    const sentenceEnd = Math.max(cut.lastIndexOf('. '), cut.lastIndexOf('! '), cut.lastIndexOf('? '));
+    return sentenceEnd > BRIEF_INFILL_LENGTH / 2 ? cut.slice(0, sentenceEnd + 1) : `${cut.trimEnd()}…`;
+}
+
+/**
+ * Format the messages after a deep swiped message as a "what happens next" block
+ * Hidden (system) messages are left out, like in the prompt itself.
+ * @param {Array<Object>} messagesAfter - The messages after the target, in chat order
+ * @param {number} count - How many of them to include
+ * @param {string} [style] - An INFILL_STYLE value
+ * @returns {{text: string, messages: number}} The block ('' if there is nothing to show) and how many messages it holds
+ */
+export function formatInfillBlock(messagesAfter, count, style = INFILL_STYLE.VERBATIM) {
+    const shown = messagesAfter
+        .filter(message => message && !message.is_system && typeof message.mes === 'string' && message.mes.trim())
+        .slice(0, Math.max(count, 0));
+    if (shown.length === 0) {
+        return { text: '', messages: 0 };
+    }
+
+    const lines = shown.map(message => {
+        const text = style === INFILL_STYLE.BRIEF ? shortenForInfill(message.mes) : message.mes.trim();
+        return `${message.name}: ${text}`;
+    });
+    const text = '[What happens next. Write the reply so that it still leads into these messages:]\n' +
+        lines.join('\n\n') +
+        '\n[End of what happens next]';
+    return { text, messages: shown.length };
+}
+
+/**
+ * Expand a deep swipe prompt for one generation
+ * Message text and guidance are inserted after SillyTavern's macros ran, so macros inside them stay as written.
+ * @param {string} prompt - The prompt template
+ * @param {Object} macros - Values of the Deep Swipe macros
+ * @param {Object} macros.context - SillyTavern context
+ * @param {Object} macros.message - The message being swiped
+ * @param {number} macros.messageId - Its message ID
+ * @param {string} macros.input - Its current text
+ * @param {string} [macros.guidance] - One-off guidance; appended if the prompt has no {{guidance}}
+ * @param {string} [macros.infill] - "What happens next" block; appended if the prompt has no {{infill}}
+ * @returns {string} The temp message to send
+ */
+export function expandSwipePrompt(prompt, { context, message, messageId, input, guidance, infill = '' }) {
+    const chat = context.chat;
+    const values = {
+        input,
+        // The speaker of an assistant message, so group chats get the right name
+        char: message.is_user ? (context.name2 || 'Assistant') : (message.name || context.name2 || 'Assistant'),
+        prev: chat[messageId - 1]?.mes ?? '',
+        next: chat[messageId + 1]?.mes ?? '',
+        swipe_count: String(message.swipes?.length || 1),
+        infill,
+        guidance: guidance || '',
+    };
+    const placesInfill = /\{\{infill\}\}/i.test(prompt);
+
+    const nonce = Math.random().toString(36).slice(2);
+    const placeholder = (name) => `\u0000${nonce}:${name}\u0000`;
+
+    // Guidance is typed by the user, so it goes in as a placeholder like the message text
+    let text = applyGuidance(prompt, guidance ? placeholder('guidance') : '');
+    for (const name of DEEP_SWIPE_MACROS) {
+        text = text.replace(new RegExp(`\\{\\{${name}\\}\\}`, 'gi'), placeholder(name));
+    }
+
+    if (typeof context.substituteParams === 'function') {
+        text = context.substituteParams(text);
+    } else {
+        text = text.replace(/\{\{user\}\}/gi, context.name1 || 'User');
+    }
+
+    for (const name of DEEP_SWIPE_MACROS) {
+        text = text.split(placeholder(name)).join(values[name]);
+    }
+    return infill && !placesInfill ? `${text}\n\n${infill}` : text;
+}
@@ -8,12 +8,11 @@
  */
 
 import { getContext } from '../../../extensions.js';
-import { EXTENSION_NAME, getSettings } from './config.js';
+import { EXTENSION_NAME, getSettings, MAX_BATCH_COUNT } from './config.js';
 import {
     isValidMessageId,
     isMessageSwipeable,
     formatSwipeCounter,
-    syncReasoningFromSwipeInfo,
     isAnyMessageBeingEdited,
     getCurrentEditMessageId,
     trackEditMessage,
@@ -21,19 +20,42 @@ import {
     log,
     error
 } from './utils.js';
+import { getConnectionProfileNames } from './profiles.js';
+import { isBranchModeEnabled, hasContinuations } from './branches.js';
+import { isFavoriteSwipe, getFavoriteSwipeIds } from './favorites.js';
+import { getActiveJobForMessage } from './queue.js';
+import { getPromptTemplates } from './templates.js';
 
 // Forward declarations for functions that will be set by the main module
 let dswipeBackFn = null;
 let dswipeForwardFn = null;
+let dswipeGotoFn = null;
+
+/**
+ * How long the right chevron must be held to open the generation options (ms)
+ * @constant {number}
+ */
+const LONG_PRESS_DELAY = 600;
+
+/**
+ * Highest swipe count the counter can show as dots instead of "3/7"
+ * @constant {number}
+ */
+const MAX_COUNTER_PIPS = 7;
+
+// Guards against the long-press and contextmenu paths opening two prompts at once
+let generationPromptOpen = false;
 
 /**
  * Set the swipe navigation functions from the main module
  * @param {Function} backFn - The dswipeBack function
  * @param {Function} forwardFn - The dswipeForward function
+ * @param {Function} gotoFn - The dswipeGoto function
  */
-export function setSwipeFunctions(backFn, forwardFn) {
+export function setSwipeFunctions(backFn, forwardFn, gotoFn) {
     dswipeBackFn = backFn;
     dswipeForwardFn = forwardFn;
+    dswipeGotoFn = gotoFn;
 }
 
 /**
@@ -90,13 +112,17 @@ export function updateMessageSwipeUI(messageId, forceCurrentId) {
     // Update ALL counters found (there may be multiple due to DOM structure)
     const counters = messageElement.querySelectorAll('.swipes-counter');
     counters.forEach((counter) => {
-        counter.textContent = formatSwipeCounter(currentId, swipeCount);
+        if (counter.classList.contains('deep-swipe-counter')) {
+            renderSwipeCounter(counter, message, messageId, currentId);
+        } else {
+            counter.textContent = formatSwipeCounter(currentId, swipeCount);
+        }
     });
 
     // Update right arrow tooltip based on position
     const rightArrow = messageElement.querySelector('.deep-swipe-right');
     if (rightArrow) {
-        rightArrow.title = currentId >= swipeCount - 1 ? 'Generate new swipe' : 'Next swipe';
+        rightArrow.title = currentId >= swipeCount - 1 ? 'Generate new swipe (hold for options)' : 'Next swipe (hold for options)';
     }
 
     // Update left arrow visibility based on swipe count
@@ -122,6 +148,116 @@ export function updateMessageSwipeUI(messageId, forceCurrentId) {
     }
 }
 
+/**
+ * Fill a deep swipe counter
+ * Shows "3/7" (or dots for a few swipes, if enabled), marks a favorite swipe, and
+ * shows a spinner while a generation for the message is queued or running.
+ * @param {HTMLElement} counter - The counter element
+ * @param {Object} message - The message
+ * @param {number} messageId - The message ID
+ * @param {number} currentId - The swipe being shown (0-based)
+ */
+function renderSwipeCounter(counter, message, messageId, currentId) {
+    const swipeCount = message.swipes?.length || 1;
+    const label = formatSwipeCounter(currentId, swipeCount);
+
+    counter.classList.toggle('favorite', isFavoriteSwipe(message, currentId));
+    counter.classList.toggle('busy', Boolean(getActiveJobForMessage(messageId)));
+
+    if (getSettings()?.counterPips && swipeCount > 1 && swipeCount <= MAX_COUNTER_PIPS) {
+        counter.classList.add('pips');
+        counter.setAttribute('aria-label', label);
+        counter.replaceChildren(...message.swipes.map((_, i) => {
+            const pip = document.createElement('span');
+            pip.className = 'deep-swipe-pip';
+            pip.classList.toggle('current', i === currentId);
+            pip.classList.toggle('favorite', isFavoriteSwipe(message, i));
+            return pip;
+        }));
+    } else {
+        counter.classList.remove('pips');
+        counter.removeAttribute('aria-label');
+        counter.textContent = label;
+    }
+}
+
+/**
+ * Open the generation options popup (swipe count, prompt template, connection profile, one-off guidance and ripple) for a message
+ * Opened from a long-press or right-click on the right chevron
+ * @param {number} messageId - The message ID to generate swipes for
+ */
+async function promptGenerationOptions(messageId) {
+    if (generationPromptOpen || !dswipeForwardFn) return;
+
+    if (isAnyMessageBeingEdited()) {
+        toastr.warning('Cannot swipe while a message is being edited. Please finish editing first.', 'Deep Swipe');
+        return;
+    }
+
+    const settings = getSettings();
+    if (!settings?.enabled) return;
+
+    generationPromptOpen = true;
+    try {
+        const { callGenericPopup, POPUP_TYPE, POPUP_RESULT } = await import('../../../popup.js');
+
+        const form = document.createElement('div');
+        form.className = 'deep-swipe-generate-form';
+        form.innerHTML = `
+            <h3>Deep Swipe message #${messageId}</h3>
+            <label>Swipes to generate (1-${MAX_BATCH_COUNT})</label>
+            <input class="deep-swipe-form-count text_pole" type="number" min="1" max="${MAX_BATCH_COUNT}" value="1" />
+            <label>Prompt</label>
+            <select class="deep-swipe-form-template text_pole"></select>
+            <label>Guidance for this generation (optional)</label>
+            <textarea class="deep-swipe-form-guidance text_pole" rows="3" placeholder="e.g. make her angrier, shorter, no dialogue"></textarea>
+            <label class="checkbox_label">
+                <input class="deep-swipe-form-ripple" type="checkbox" />
+                Then regenerate the messages after it (ripple)
+            </label>
+            <label>Messages to ripple (0 = all)</label>
+            <input class="deep-swipe-form-ripple-count text_pole" type="number" min="0" value="0" />
+        `;
+
+        const templateSelect = form.querySelector('.deep-swipe-form-template');
+        templateSelect.appendChild(new Option('Default prompt', ''));
+        getPromptTemplates().forEach(template => templateSelect.appendChild(new Option(template.name, template.name)));
+
+        // Connection profile selector - only when Connection Manager has profiles
+        const profileNames = getConnectionProfileNames();
+        if (profileNames.length > 0) {
+            const profileLabel = document.createElement('label');
+            profileLabel.textContent = 'Connection profile (for this generation only)';
+            const profileSelect = document.createElement('select');
+            profileSelect.className = 'deep-swipe-form-profile text_pole';
+            profileSelect.appendChild(new Option('Current profile', ''));
+            profileNames.forEach(name => profileSelect.appendChild(new Option(name, name)));
+            form.querySelector('.deep-swipe-form-count').insertAdjacentElement('afterend', profileSelect);
+            profileSelect.insertAdjacentElement('beforebegin', profileLabel);
+        }
+
+        const result = await callGenericPopup(form, POPUP_TYPE.CONFIRM, '', {
+            okButton: 'Generate',
+            cancelButton: 'Cancel',
+        });
+        if (result !== POPUP_RESULT.AFFIRMATIVE) return;
+
+        const count = form.querySelector('.deep-swipe-form-count').value.trim();
+        const guidance = form.querySelector('.deep-swipe-form-guidance').value.trim();
+        const template = templateSelect.value;
+        const profile = form.querySelector('.deep-swipe-form-profile')?.value || '';
+        const ripple = form.querySelector('.deep-swipe-form-ripple').checked
+            ? (form.querySelector('.deep-swipe-form-ripple-count').value.trim() || '0')
+            : '';
+
+        await dswipeForwardFn({ count, guidance, template, profile, ripple }, messageId);
+    } catch (err) {
+        error('Error in guided generation:', err);
+    } finally {
+        generationPromptOpen = false;
+    }
+}
+
 /**
  * Add swipe navigation (arrows + counter) to message
  * @param {number} messageId - The message ID to add navigation to
@@ -163,9 +299,9 @@ export function addSwipeNavigationToMessage(messageId) {
         }
     });
     messageElement.querySelectorAll('.deep-swipe-navigation').forEach(el => el.remove());
+    messageElement.querySelectorAll('.deep-swipe-info, .deep-swipe-branch-indicator, .assistant-swipe-counter, .deep-swipe-continue-button').forEach(el => el.remove());
 
-    // Show navigation for both user and assistant messages
-    // But only show counter for user messages (assistant messages have native counter)
+    // Show navigation and a counter for both user and assistant messages
     const swipeCount = message.swipes?.length || 1;
     const currentSwipe = Math.min(message.swipe_id || 0, swipeCount - 1);
 
@@ -238,17 +374,48 @@ export function addSwipeNavigationToMessage(messageId) {
     if (!message.is_user) {
         rightArrow.classList.add('assistant-swipe-arrow');
     }
-    rightArrow.title = currentSwipe >= swipeCount - 1 ? 'Generate new swipe' : 'Next swipe';
+    rightArrow.title = currentSwipe >= swipeCount - 1 ? 'Generate new swipe (hold for options)' : 'Next swipe (hold for options)';
     // Force visibility to override native SillyTavern hiding rules
     rightArrow.style.setProperty('display', 'flex', 'important');
     rightArrow.style.setProperty('opacity', '0.5', 'important');
     rightArrow.style.setProperty('visibility', 'visible', 'important');
     rightArrow.style.setProperty('pointer-events', 'auto', 'important');
 
+    // Long-press (touch or mouse) or right-click opens the generation options (count, guidance)
+    let longPressTimer = null;
+    let longPressTriggered = false;
+    const cancelLongPress = () => {
+        clearTimeout(longPressTimer);
+        longPressTimer = null;
+    };
+    rightArrow.addEventListener('pointerdown', () => {
+        longPressTriggered = false;
+        cancelLongPress();
+        longPressTimer = setTimeout(() => {
+            longPressTriggered = true;
+            promptGenerationOptions(messageId);
+        }, LONG_PRESS_DELAY);
+    });
+    rightArrow.addEventListener('pointerup', cancelLongPress);
+    rightArrow.addEventListener('pointerleave', cancelLongPress);
+    rightArrow.addEventListener('pointercancel', cancelLongPress);
+    rightArrow.addEventListener('contextmenu', (e) => {
+        e.stopPropagation();
+        e.preventDefault();
+        cancelLongPress();
+        promptGenerationOptions(messageId);
+    });
+
     rightArrow.addEventListener('click', async (e) => {
         e.stopPropagation();
         e.preventDefault();
 
+        // The click that ends a long-press must not also swipe
+        if (longPressTriggered) {
+            longPressTriggered = false;
+            return;
+        }
+
         // Check if any message is being edited - disable swipes globally during edit
         if (isAnyMessageBeingEdited()) {
             toastr.warning('Cannot swipe while a message is being edited. Please finish editing first.', 'Deep Swipe');
@@ -296,93 +463,15 @@ export function addSwipeNavigationToMessage(messageId) {
                 await dswipeForwardFn({}, messageId);
             }
         } else {
-            // CRITICAL FIX: Manually handle swipe navigation instead of relying on native swipe.right()
-            // The native swipe.right() with forceSwipeId doesn't work reliably - it resets swipe_id to 0
-            const targetSwipeId = currentId + 1;
-            
             // Save scroll position BEFORE any operations to prevent jump
             const scrollContainer = document.querySelector('#chat');
             const savedScrollTop = scrollContainer?.scrollTop || 0;
 
-            // For user messages, manually update swipe (SillyTavern blocks user message swipes)
-            if (msg.is_user) {
-                msg.swipe_id = targetSwipeId;
-                msg.mes = msg.swipes[targetSwipeId];
-
-                // Sync reasoning data from swipe_info
-                syncReasoningFromSwipeInfo(msg, targetSwipeId);
-            } else {
-                // For assistant messages, try native swipe but fallback to manual if it fails
-                // SillyTavern only allows swiping the last message.
-                // Temporarily hide messages after target to make it the last message.
-                const messagesToRestore = currentChat.slice(messageId + 1);
-                currentChat.length = messageId + 1;
-
-                try {
-                    await ctx.swipe.right(null, {
-                        message: msg,
-                        forceMesId: messageId,
-                        forceSwipeId: targetSwipeId
-                    });
-
-                    // Restore hidden messages
-                    currentChat.push(...messagesToRestore);
-
-                    // Check if native swipe worked correctly
-                    const updatedMsg = currentChat[messageId];
-
-                    // If native swipe didn't work (swipe_id is wrong), manually fix it
-                    if (updatedMsg.swipe_id !== targetSwipeId) {
-                        updatedMsg.swipe_id = targetSwipeId;
-                        updatedMsg.mes = updatedMsg.swipes[targetSwipeId];
-                    }
-
-                    // Sync reasoning data from swipe_info
-                    syncReasoningFromSwipeInfo(updatedMsg, targetSwipeId);
-
-                    // Re-render the message with the new swipe
-                    ctx.addOneMessage(updatedMsg, {
-                        type: 'swipe',
-                        forceId: messageId,
-                        scroll: false,
-                        showSwipes: true
-                    });
-
-                    updateMessageSwipeUI(messageId);
-                } catch (err) {
-                    currentChat.push(...messagesToRestore);
-                    error('Error in forward navigation:', err);
-                }
-
-                // Return early since we handled assistant messages above
-                // Restore scroll position to counteract jump, then fine-tune
-                if (scrollContainer) {
-                    scrollContainer.scrollTop = savedScrollTop;
-                    requestAnimationFrame(() => {
-                        const newButton = document.querySelector(`.mes[mesid="${messageId}"] .deep-swipe-right`);
-                        if (newButton) {
-                            const newRect = newButton.getBoundingClientRect();
-                            const scrollDelta = newRect.top - viewportOffset;
-                            scrollContainer.scrollTop += scrollDelta;
-                        }
-                    });
-                }
-                return;
+            // Not at the last swipe yet, so this navigates (same path as /dswipe forward)
+            if (dswipeForwardFn) {
+                await dswipeForwardFn({}, messageId);
             }
 
-            // For user messages, re-render with the manually updated message
-            ctx.addOneMessage(msg, {
-                type: 'swipe',
-                forceId: messageId,
-                scroll: false,
-                showSwipes: true
-            });
-
-            // Update UI including reasoning
-            updateMessageSwipeUI(messageId);
-            // Note: addOneMessage already called updateReasoningUI, so we don't need to call it again
-            // Calling it with reset:true would clear the reasoning we just synced!
-
             // Restore scroll position to counteract jump from addOneMessage, then fine-tune
             if (scrollContainer) {
                 scrollContainer.scrollTop = savedScrollTop;
@@ -398,27 +487,92 @@ export function addSwipeNavigationToMessage(messageId) {
         }
     });
 
-    // Create swipe counter - only for user messages (assistant messages have native counter)
-    let counter = null;
+    // Create swipe counter - assistant messages get their own too, as the native one is hidden on older messages
+    const counter = document.createElement('div');
+    // Use a unique class name to avoid conflicts with native counters
+    counter.className = 'swipes-counter deep-swipe-counter';
+    renderSwipeCounter(counter, message, messageId, currentSwipe);
     if (message.is_user) {
-        counter = document.createElement('div');
-        // Use a unique class name to avoid conflicts with native counters
-        counter.className = 'swipes-counter deep-swipe-counter';
-        counter.textContent = formatSwipeCounter(currentSwipe, swipeCount);
         // Force visibility to override native SillyTavern hiding rules
         counter.style.setProperty('display', 'flex', 'important');
         // Don't set opacity inline - let CSS control it (0.3 for greyed-out look)
         counter.style.setProperty('visibility', 'visible', 'important');
         counter.style.setProperty('pointer-events', 'auto', 'important');
+    } else {
+        // Positioned under the right arrow; hidden by CSS once the message becomes the last one
+        counter.classList.add('assistant-swipe-counter');
+    }
+
+    // Clicking the counter opens the jump popover
+    if (swipeCount > 1) {
+        counter.classList.add('deep-swipe-counter-trigger');
+        counter.title = 'Go to swipe / compare swipes';
+        counter.addEventListener('click', (e) => {
+            e.stopPropagation();
+            e.preventDefault();
+            // Read the ID at click time - the element can outlive a renumbering of the chat
+            const currentId = Number(counter.closest('.mes')?.getAttribute('mesid') ?? messageId);
+            showSwipeJumpPopover(counter, currentId);
+        });
+    }
+
+    // Swipe info button - shows how the current swipe was generated
+    let infoButton = null;
+    if (swipeCount > 1) {
+        infoButton = document.createElement('div');
+        infoButton.className = 'deep-swipe-info fa-solid fa-circle-info';
+        if (!message.is_user) {
+            infoButton.classList.add('assistant-swipe-info');
+        }
+        infoButton.title = 'Swipe generation details';
+        infoButton.addEventListener('click', (e) => {
+            e.stopPropagation();
+            e.preventDefault();
+            showSwipeInfo(messageId);
+        });
+    }
+
+    // Branch indicator - the later messages change with the selected swipe
+    let branchIndicator = null;
+    if (isBranchModeEnabled() && hasContinuations(message)) {
+        branchIndicator = document.createElement('div');
+        branchIndicator.className = 'deep-swipe-branch-indicator fa-solid fa-code-branch';
+        if (!message.is_user) {
+            branchIndicator.classList.add('assistant-branch-indicator');
+        }
+        branchIndicator.title = 'The messages after this one depend on the selected swipe. Switching swipes swaps them in.';
+    }
+
+    // Deep continue - in the message menu, next to the native message actions
+    const extraButtons = messageElement.querySelector('.extraMesButtons');
+    if (!message.is_user && extraButtons) {
+        const continueButton = document.createElement('div');
+        continueButton.className = 'mes_button deep-swipe-continue-button fa-solid fa-forward';
+        continueButton.title = 'Deep continue: extend this message as a new swipe';
+        continueButton.addEventListener('click', async (e) => {
+            e.stopPropagation();
+            e.preventDefault();
+            // Read the ID at click time - the element can outlive a renumbering of the chat
+            const currentId = Number(continueButton.closest('.mes')?.getAttribute('mesid') ?? messageId);
+            const { dswipeContinue } = await import('./deep-swipe.js');
+            await dswipeContinue({}, currentId);
+        });
+        extraButtons.prepend(continueButton);
     }
 
     // Right block container - use native swipeRightBlock class for consistent styling
     const rightBlock = document.createElement('div');
     rightBlock.className = 'swipeRightBlock flex-container flexFlowColumn flexNoGap';
     rightBlock.appendChild(rightArrow);
-    if (counter) {
+    if (message.is_user) {
         rightBlock.appendChild(counter);
     }
+    if (infoButton && message.is_user) {
+        rightBlock.appendChild(infoButton);
+    }
+    if (branchIndicator && message.is_user) {
+        rightBlock.appendChild(branchIndicator);
+    }
     // Force visibility to override native SillyTavern hiding rules
     rightBlock.style.setProperty('display', 'flex', 'important');
     rightBlock.style.setProperty('visibility', 'visible', 'important');
@@ -447,6 +601,13 @@ export function addSwipeNavigationToMessage(messageId) {
                 // Fallback: insert after mes_block
                 mesBlock.insertAdjacentElement('afterend', rightArrow);
             }
+            rightArrow.insertAdjacentElement('afterend', counter);
+            if (infoButton) {
+                rightArrow.insertAdjacentElement('beforebegin', infoButton);
+            }
+            if (branchIndicator) {
+                rightArrow.insertAdjacentElement('beforebegin', branchIndicator);
+            }
         } else {
             // User message: insert right block after mes_block (like native)
             mesBlock.insertAdjacentElement('afterend', rightBlock);
@@ -461,14 +622,152 @@ export function addSwipeNavigationToMessage(messageId) {
     }
 }
 
+/**
+ * Re-render the whole chat from memory, without reloading it from the server
+ * @param {Object} context - SillyTavern context
+ */
+export async function rerenderChat(context) {
+    const chatElement = document.getElementById('chat');
+    if (chatElement) {
+        chatElement.innerHTML = '';
+    }
+    await context.printMessages();
+}
+
+/**
+ * Close the swipe jump popover, if open
+ */
+function closeSwipeJumpPopover() {
+    document.getElementById('deep-swipe-jump-popover')?.remove();
+    document.removeEventListener('pointerdown', onPointerDownOutsidePopover, true);
+}
+
+/**
+ * Close the jump popover when clicking anywhere else
+ * @param {PointerEvent} e - The pointer event
+ */
+function onPointerDownOutsidePopover(e) {
+    if (!e.target.closest('#deep-swipe-jump-popover')) {
+        closeSwipeJumpPopover();
+    }
+}
+
+/**
+ * Show a small popover under a swipe counter to type a swipe number to jump to,
+ * with buttons opening the comparison drawer and for the favorite swipe
+ * @param {HTMLElement} anchor - The counter element
+ * @param {number} messageId - The message ID
+ */
+function showSwipeJumpPopover(anchor, messageId) {
+    closeSwipeJumpPopover();
+
+    const message = getContext().chat[messageId];
+    if (!message || !Array.isArray(message.swipes)) return;
+    const swipeCount = message.swipes.length;
+    const currentId = message.swipe_id ?? 0;
+    const isFavorite = isFavoriteSwipe(message, currentId);
+    const favorites = getFavoriteSwipeIds(message);
+    const canReturn = favorites.some(index => index !== currentId);
+    const canPrune = favorites.length > 0 && favorites.length < swipeCount;
+
+    const popover = document.createElement('div');
+    popover.id = 'deep-swipe-jump-popover';
+    popover.className = 'deep-swipe-jump-popover';
+    popover.innerHTML = `
+        <input type="number" class="text_pole deep-swipe-jump-input" min="1" max="${swipeCount}" step="1" />
+        <span class="deep-swipe-jump-total">/ ${swipeCount}</span>
+        <div class="deep-swipe-jump-go menu_button fa-solid fa-arrow-right" title="Go to swipe"></div>
+        <div class="deep-swipe-jump-compare menu_button fa-solid fa-table-columns" title="Compare swipes"></div>
+        <div class="deep-swipe-jump-favorite menu_button ${isFavorite ? 'fa-solid active' : 'fa-regular'} fa-star" title="${isFavorite ? 'Unmark this swipe as favorite' : 'Mark this swipe as favorite'}"></div>
+        ${canReturn ? '<div class="deep-swipe-jump-return menu_button fa-solid fa-rotate-left" title="Return to favorite swipe"></div>' : ''}
+        ${canPrune ? '<div class="deep-swipe-jump-prune menu_button fa-solid fa-broom" title="Delete all swipes except favorites"></div>' : ''}
+    `;
+
+    const input = popover.querySelector('.deep-swipe-jump-input');
+    input.value = String(currentId + 1);
+
+    const jump = async () => {
+        const target = input.value.trim();
+        closeSwipeJumpPopover();
+        if (target && dswipeGotoFn) {
+            await dswipeGotoFn({}, messageId, target);
+        }
+    };
+
+    input.addEventListener('keydown', (e) => {
+        e.stopPropagation();
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            jump();
+        } else if (e.key === 'Escape') {
+            closeSwipeJumpPopover();
+        }
+    });
+    popover.querySelector('.deep-swipe-jump-go').addEventListener('click', jump);
+    popover.querySelector('.deep-swipe-jump-compare').addEventListener('click', async () => {
+        closeSwipeJumpPopover();
+        const { openCompareDrawer } = await import('./compare.js');
+        openCompareDrawer(messageId);
+    });
+    popover.querySelector('.deep-swipe-jump-favorite').addEventListener('click', async () => {
+        closeSwipeJumpPopover();
+        const { setSwipeFavorite } = await import('./deep-swipe.js');
+        await setSwipeFavorite(messageId, currentId, !isFavorite);
+    });
+    popover.querySelector('.deep-swipe-jump-return')?.addEventListener('click', async () => {
+        closeSwipeJumpPopover();
+        if (dswipeGotoFn) {
+            await dswipeGotoFn({}, messageId, 'favorite');
+        }
+    });
+    popover.querySelector('.deep-swipe-jump-prune')?.addEventListener('click', async () => {
+        closeSwipeJumpPopover();
+        const { pruneNonFavorites } = await import('./deep-swipe.js');
+        await pruneNonFavorites(messageId);
+    });
+
+    document.body.appendChild(popover);
+
+    // Place below the counter, kept inside the viewport
+    const rect = anchor.getBoundingClientRect();
+    const left = Math.min(rect.left, window.innerWidth - popover.offsetWidth - 8);
+    popover.style.left = `${Math.max(8, left)}px`;
+    popover.style.top = `${rect.bottom + 4}px`;
+
+    document.addEventListener('pointerdown', onPointerDownOutsidePopover, true);
+    input.focus();
+    input.select();
+}
+
+/**
+ * Show the generation details (provenance) of a message's current swipe
+ * @param {number} messageId - The message ID
+ */
+export async function showSwipeInfo(messageId) {
+    const message = getContext().chat[messageId];
+    if (!message || !Array.isArray(message.swipes)) return;
+
+    const swipeId = message.swipe_id ?? 0;
+    const { formatProvenanceHtml } = await import('./provenance.js');
+    const { callGenericPopup, POPUP_TYPE } = await import('../../../popup.js');
+
+    const html = formatProvenanceHtml(message.swipe_info?.[swipeId], swipeId, message.swipes.length);
+    await callGenericPopup(html, POPUP_TYPE.TEXT, '', { wide: true, allowVerticalScrolling: true });
+}
+
 /**
  * Create a swipe overlay for "read while generating" feature
  * This creates an overlay OUTSIDE the chat container that survives re-renders
  * @param {number} messageId - The message ID
  * @param {Object} message - The message object
+ * @param {Object} [options] - Overlay options
+ * @param {boolean} [options.showThrobber=true] - Show the spinner and stop button
+ * @param {Function} [options.onComplete] - Called when the overlay is marked complete
+ * @param {Function} [options.onStop] - Called when the stop (or cancel) button is clicked
+ * @param {boolean} [options.queued=false] - Show a "queued" badge and a cancel button instead of the throbber
  */
 export function createSwipeOverlay(messageId, message, options = {}) {
-    const { showThrobber = true, onComplete = null, onStop = null } = options;
+    const { showThrobber = true, onComplete = null, onStop = null, queued = false } = options;
     
     // Get message element
     const mesElement = document.querySelector(`.mes[mesid="${messageId}"]`);
@@ -481,7 +780,7 @@ export function createSwipeOverlay(messageId, message, options = {}) {
     const clone = mesElement.cloneNode(true);
     
     // Remove interactive elements from clone
-    clone.querySelectorAll('.deep-swipe-left, .deep-swipe-right, .swipe_right, .swipe_left, .swipes-counter').forEach(el => el.remove());
+    clone.querySelectorAll('.deep-swipe-left, .deep-swipe-right, .deep-swipe-info, .deep-swipe-branch-indicator, .swipe_right, .swipe_left, .swipes-counter').forEach(el => el.remove());
     // Remove buttons but preserve reasoning-related buttons (mes_edit_add_reasoning)
     clone.querySelectorAll('button, [role="button"], a, input, textarea, select').forEach(el => {
         // Keep reasoning buttons to prevent reasoning.js errors
@@ -532,6 +831,29 @@ export function createSwipeOverlay(messageId, message, options = {}) {
         });
         overlay.appendChild(stopButton);
     }
+
+    // Waiting for an earlier queued generation to finish
+    if (queued) {
+        overlay.classList.add('queued');
+
+        const queuedBadge = document.createElement('div');
+        queuedBadge.className = 'deep-swipe-queued-badge';
+        queuedBadge.textContent = 'Queued';
+        overlay.appendChild(queuedBadge);
+
+        const cancelButton = document.createElement('button');
+        cancelButton.className = 'deep-swipe-stop-button';
+        cancelButton.innerHTML = '<i class="fa-solid fa-xmark"></i> Cancel';
+        cancelButton.title = 'Remove from the queue';
+        cancelButton.addEventListener('click', (e) => {
+            e.stopPropagation();
+            e.preventDefault();
+            if (onStop) {
+                onStop();
+            }
+        });
+        overlay.appendChild(cancelButton);
+    }
     
     // Add the cloned message
     overlay.appendChild(clone);
@@ -592,9 +914,10 @@ export function createSwipeOverlay(messageId, message, options = {}) {
  * @param {Object} options - Completion options
  * @param {boolean} options.autoFadeOut - Whether to auto-fade out after showing completion
  * @param {number} options.fadeDelay - Delay before fading out (ms)
+ * @param {string} [options.message] - Completion text to show instead of the default
  */
 export function completeSwipeOverlay(messageId, options = {}) {
-    const { autoFadeOut = false, fadeDelay = 1500 } = options;
+    const { autoFadeOut = false, fadeDelay = 1500, message = 'Next Swipe Generation Complete' } = options;
     
     const overlayData = window._deepSwipeOverlayPopups?.[messageId];
     if (!overlayData || overlayData.isComplete) return;
@@ -605,16 +928,17 @@ export function completeSwipeOverlay(messageId, options = {}) {
     overlayData.isComplete = true;
     overlay.classList.add('complete');
     
-    // Remove throbber
+    // Remove throbber and batch progress
     const throbber = overlay.querySelector(`#deep-swipe-throbber-${messageId}`);
     if (throbber) {
         throbber.remove();
     }
+    overlay.querySelector('.deep-swipe-progress')?.remove();
     
     // Add completion message
     const completionMsg = document.createElement('div');
     completionMsg.className = 'deep-swipe-completion-message';
-    completionMsg.textContent = 'Next Swipe Generation Complete';
+    completionMsg.textContent = message;
     overlay.appendChild(completionMsg);
     
     // Call onComplete callback if provided
@@ -630,6 +954,25 @@ export function completeSwipeOverlay(messageId, options = {}) {
     }
 }
 
+/**
+ * Show batch progress (e.g. "3/5 generated") on the swipe overlay
+ * @param {number} messageId - The message ID
+ * @param {number} completed - Number of generations finished so far
+ * @param {number} total - Total number of generations in the batch
+ */
+export function updateSwipeOverlayProgress(messageId, completed, total) {
+    const overlay = window._deepSwipeOverlayPopups?.[messageId]?.element;
+    if (!overlay) return;
+
+    let progress = overlay.querySelector('.deep-swipe-progress');
+    if (!progress) {
+        progress = document.createElement('div');
+        progress.className = 'deep-swipe-progress';
+        overlay.appendChild(progress);
+    }
+    progress.textContent = `${completed}/${total} generated`;
+}
+
 /**
  * Fade out and remove the swipe overlay
  * @param {number} messageId - The message ID
@@ -703,6 +1046,7 @@ export function removeAllDeepSwipeUI() {
     // Only remove elements with our custom deep-swipe classes, not native swipe elements
     document.querySelectorAll('.deep-swipe-left').forEach(el => el.remove());
     document.querySelectorAll('.deep-swipe-right').forEach(el => el.remove());
+    document.querySelectorAll('.deep-swipe-info, .deep-swipe-branch-indicator, .assistant-swipe-counter, .deep-swipe-continue-button').forEach(el => el.remove());
     // Remove swipe counters that were added by our extension (they're inside swipeRightBlock)
     // Note: We can't easily distinguish our counters from native ones, so we let the
     // addSwipeNavigationToMessage function handle removal of existing UI before adding new
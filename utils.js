@@ -50,6 +50,23 @@ export function formatSwipeCounter(current, total) {
     return `${current + 1}/${total}`;
 }
 
+/**
+ * Merge one-off guidance into a deep swipe prompt
+ * Replaces {{guidance}} (any case) if the prompt contains it, otherwise appends the guidance on its own line
+ * @param {string} prompt - The prompt template
+ * @param {string} [guidance] - Guidance text for this generation
+ * @returns {string} The prompt with guidance applied
+ */
+export function applyGuidance(prompt, guidance) {
+    if (/\{\{guidance\}\}/i.test(prompt)) {
+        return prompt.replace(/\{\{guidance\}\}/gi, () => guidance || '');
+    }
+    if (!guidance) {
+        return prompt;
+    }
+    return `${prompt}\n\nGuidance for this reply: ${guidance}`;
+}
+
 /**
  * Sync reasoning and model data from swipe_info to message extra
  * @param {Object} message - The message object
@@ -200,6 +217,19 @@ export function ensureSwipes(message) {
     return message;
 }
 
+/**
+ * Escape text for safe insertion into HTML
+ * @param {*} value - The value to escape
+ * @returns {string} The escaped string
+ */
+export function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
 /**
  * Log a message with the extension prefix
  * @param {string} message - The message to log